@@ -1,21 +1,29 @@
-const jwt = require('jsonwebtoken');
-const config = require('config');
+const { authenticate } = require('../utils/session');
+const { AppError, AuthenticationError } = require('../utils/errors');
+const asyncHandler = require('../utils/asyncHandler');
 
-module.exports = (req, res, next) => {
+module.exports = asyncHandler(async (req, res, next) => {
     // get token from header
     const token = req.header('x-auth-token');
 
     // check if no token
     if (!token) {
-        return res.status(401).json({ msg: 'No token. Authorization denied.' });
+        throw new AuthenticationError('No token. Authorization denied.', {
+            code: 'token_missing',
+        });
     }
 
-    // verify token
-    try {
-        const decoded = jwt.verify(token, config.get('jwtSecret'));
-        req.user = decoded.user;
-        next();
-    } catch (err) {
-        res.status(401).json({ msg: 'Token is not valid' });
+    // verify token, session and account
+    const result = await authenticate(token);
+
+    if (!result.user) {
+        throw new AppError(result.msg, {
+            status: result.status,
+            code: result.code,
+        });
     }
-};
+
+    req.user = result.user;
+    req.sessionId = result.sessionId;
+    next();
+});
@@ -0,0 +1,64 @@
+const {
+    AppError,
+    BadRequestError,
+    NotFoundError,
+    ConflictError,
+    PayloadTooLargeError,
+} = require('../utils/errors');
+
+/**
+ * The AppError to answer with for errors thrown by Express, body-parser or
+ * Mongoose, or null for anything unexpected
+ */
+const toAppError = (err) => {
+    if (err instanceof AppError) {
+        return err;
+    }
+
+    if (err.type === 'entity.parse.failed') {
+        return new BadRequestError('Request body is not valid JSON.', {
+            code: 'invalid_json',
+        });
+    }
+
+    if (err.type === 'entity.too.large') {
+        return new PayloadTooLargeError('Request body is too large.');
+    }
+
+    // An id that isn't an ObjectId can't match anything
+    if (err.name === 'CastError' && err.kind === 'ObjectId') {
+        return new NotFoundError('Not found.');
+    }
+
+    if (err.code === 11000) {
+        return new ConflictError('That already exists.');
+    }
+
+    return null;
+};
+
+/**
+ * Answer every error in the format described in utils/errors. Unexpected
+ * errors are logged and answer 500 without details. Express only treats it
+ * as an error handler because it takes four arguments, keep `next`.
+ */
+module.exports = (err, req, res, next) => {
+    // Too late for a JSON body, e.g. a PDF that failed halfway through;
+    // Express' own handler closes the connection
+    if (res.headersSent) {
+        return next(err);
+    }
+
+    let error = toAppError(err);
+
+    if (!error) {
+        console.error(err.stack || err.message);
+        error = new AppError('Server error.');
+    }
+
+    if (error.retryAfter !== undefined) {
+        res.set('Retry-After', error.retryAfter);
+    }
+
+    res.status(error.status).json(error);
+};
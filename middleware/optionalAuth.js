@@ -0,0 +1,28 @@
+const { authenticate } = require('../utils/session');
+const { AppError } = require('../utils/errors');
+const asyncHandler = require('../utils/asyncHandler');
+
+/**
+ * Like the auth middleware, but lets requests without a token through with
+ * no req.user, for public routes that show more to signed in users
+ */
+module.exports = asyncHandler(async (req, res, next) => {
+    const token = req.header('x-auth-token');
+
+    if (!token) {
+        return next();
+    }
+
+    const result = await authenticate(token);
+
+    if (!result.user) {
+        throw new AppError(result.msg, {
+            status: result.status,
+            code: result.code,
+        });
+    }
+
+    req.user = result.user;
+    req.sessionId = result.sessionId;
+    next();
+});
@@ -0,0 +1,43 @@
+const { hit } = require('../utils/rateLimit');
+const { RateLimitError } = require('../utils/errors');
+
+const READS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Limit requests to a budget from utils/rateLimit (auth, write or read).
+ * Requests are counted per user after the auth middleware and per IP before
+ * it. Without a budget, reads and writes are told apart by method.
+ */
+module.exports = (budget) => async (req, res, next) => {
+    const name = budget || (READS.includes(req.method) ? 'read' : 'write');
+    const id = req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+    let result;
+
+    try {
+        result = await hit(name, id);
+    } catch (err) {
+        // Don't take the API down with the store, let the request through
+        console.error(err.message);
+        return next();
+    }
+
+    const { max, count, resetAt } = result;
+    const resetIn = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 0);
+
+    res.set({
+        'RateLimit-Limit': max,
+        'RateLimit-Remaining': Math.max(max - count, 0),
+        'RateLimit-Reset': resetIn,
+    });
+
+    if (count > max) {
+        return next(
+            new RateLimitError(
+                `Too many requests. Try again in ${resetIn} seconds.`,
+                { retryAfter: resetIn }
+            )
+        );
+    }
+
+    next();
+};
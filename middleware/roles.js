@@ -0,0 +1,31 @@
+const { ForbiddenError } = require('../utils/errors');
+
+// Each role can do everything the roles before it can
+const ROLES = ['user', 'moderator', 'admin'];
+
+const hasRole = (user, role) => ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+/**
+ * Check the authenticated user holds at least the given role, e.g.
+ * `[auth, requireRole('moderator')]`. Must run after the auth middleware.
+ */
+const requireRole = (role) => (req, res, next) => {
+    if (!req.user || !hasRole(req.user, role)) {
+        return next(new ForbiddenError('Not authorized.'));
+    }
+
+    next();
+};
+
+/**
+ * True when the user owns a document or may moderate it anyway
+ */
+const canModify = (user, ownerId) =>
+    ownerId.toString() === user.id || hasRole(user, 'moderator');
+
+module.exports = {
+    ROLES,
+    hasRole,
+    requireRole,
+    canModify,
+};
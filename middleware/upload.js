@@ -0,0 +1,80 @@
+const config = require('config');
+const multer = require('multer');
+
+const { BadRequestError, PayloadTooLargeError } = require('../utils/errors');
+
+const uploadConfig = config.has('uploads') ? config.get('uploads') : {};
+
+// Bytes per file
+const maxFileSize = uploadConfig.maxFileSize || 5 * 1024 * 1024;
+
+// What each kind of upload accepts. The handlers check the actual contents,
+// the MIME type is a quick first pass.
+const kinds = {
+    image: {
+        label: 'Images',
+        types: /^image\/(jpeg|png|webp|gif)$/,
+        msg: 'Images must be JPEG, PNG, WebP or GIF.',
+    },
+    import: {
+        label: 'Files',
+        types: /^(application\/(json|zip|x-zip-compressed|octet-stream)|text\/(csv|plain))$/,
+        msg: 'Files must be JSON, CSV or ZIP.',
+    },
+};
+
+const parsers = {};
+
+const parserFor = (kind) => {
+    if (!parsers[kind]) {
+        parsers[kind] = multer({
+            storage: multer.memoryStorage(),
+            limits: { fileSize: maxFileSize },
+            fileFilter: (req, file, cb) => {
+                if (kinds[kind].types.test(file.mimetype)) {
+                    return cb(null, true);
+                }
+
+                cb(
+                    new BadRequestError(kinds[kind].msg, {
+                        code: 'unsupported_type',
+                    })
+                );
+            },
+        });
+    }
+
+    return parsers[kind];
+};
+
+/**
+ * Parse a multipart body with up to `maxCount` files of a kind (image or
+ * import) in `field` into req.files, and its text fields into req.body.
+ * Requests that aren't multipart pass straight through.
+ */
+module.exports = (field, maxCount = 1, kind = 'image') => (req, res, next) => {
+    parserFor(kind).array(field, maxCount)(req, res, (err) => {
+        if (!err) {
+            req.files = req.files || [];
+            return next();
+        }
+
+        if (err.code === 'LIMIT_FILE_SIZE') {
+            return next(
+                new PayloadTooLargeError(
+                    `${kinds[kind].label} must be smaller than ${Math.floor(
+                        maxFileSize / 1024 / 1024
+                    )}MB.`
+                )
+            );
+        }
+
+        if (err instanceof multer.MulterError) {
+            return next(
+                new BadRequestError(err.message, { code: 'upload_invalid' })
+            );
+        }
+
+        next(err);
+    });
+};
@@ -0,0 +1,15 @@
+const { NotFoundError } = require('../utils/errors');
+
+/**
+ * router.param handler answering 404 with `message` when a route parameter
+ * isn't an ObjectId, since it can't match anything:
+ *
+ *   router.param('post_id', validId('Post not found.'));
+ */
+module.exports = (message) => (req, res, next, id) => {
+    if (!/^[0-9a-fA-F]{24}$/.test(id)) {
+        return next(new NotFoundError(message));
+    }
+
+    next();
+};
@@ -0,0 +1,23 @@
+const { validationResult } = require('express-validator');
+
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Fail with a ValidationError when any express-validator check before it
+ * did, e.g. `[auth, check('text').not().isEmpty(), validate]`. Each field
+ * gets its first problem.
+ */
+module.exports = (req, res, next) => {
+    const result = validationResult(req);
+
+    if (result.isEmpty()) {
+        return next();
+    }
+
+    const fields = {};
+    result.array({ onlyFirstError: true }).forEach(({ param, msg }) => {
+        fields[param] = msg;
+    });
+
+    next(new ValidationError(fields));
+};
@@ -0,0 +1,38 @@
+const config = require('config');
+
+const Post = require('../models/Post');
+const { ForbiddenError } = require('../utils/errors');
+const asyncHandler = require('../utils/asyncHandler');
+
+const defaultLimit = config.has('unverifiedDailyPosts')
+    ? config.get('unverifiedDailyPosts')
+    : 3;
+
+/**
+ * Restrict users who haven't verified their email. They may create up to
+ * `dailyLimit` posts per 24 hours; pass 0 to require verification outright.
+ * Must run after the auth middleware.
+ */
+module.exports = (dailyLimit = defaultLimit) =>
+    asyncHandler(async (req, res, next) => {
+        if (req.user.emailVerified) {
+            return next();
+        }
+
+        if (dailyLimit > 0) {
+            const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+            const count = await Post.countDocuments({
+                user: req.user.id,
+                date: { $gte: since },
+            });
+
+            if (count < dailyLimit) {
+                return next();
+            }
+        }
+
+        throw new ForbiddenError(
+            'Please verify your email address to keep posting.',
+            { code: 'email_unverified' }
+        );
+    });
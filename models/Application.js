@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Recruiters move an application through these, applicants can only withdraw
+const APPLICATION_STATUSES = [
+    'submitted',
+    'reviewing',
+    'interviewing',
+    'offered',
+    'hired',
+    'rejected',
+    'withdrawn',
+];
+
+const ApplicationSchema = new Schema({
+    job: {
+        type: Schema.Types.ObjectId,
+        ref: 'job',
+        required: true,
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'user',
+        required: true,
+    },
+    // the applicant's profile is their CV
+    profile: {
+        type: Schema.Types.ObjectId,
+        ref: 'profile',
+        required: true,
+    },
+    coverLetter: {
+        type: String,
+    },
+    status: {
+        type: String,
+        enum: APPLICATION_STATUSES,
+        default: 'submitted',
+    },
+    // every status the application has had, oldest first
+    history: [
+        {
+            status: {
+                type: String,
+                enum: APPLICATION_STATUSES,
+            },
+            date: {
+                type: Date,
+                default: Date.now,
+            },
+        },
+    ],
+    date: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+ApplicationSchema.index({ job: 1, user: 1 }, { unique: true });
+ApplicationSchema.index({ job: 1, date: -1, _id: -1 });
+ApplicationSchema.index({ user: 1, date: -1, _id: -1 });
+
+module.exports = mongoose.model('application', ApplicationSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Backing store for the Mongo cache in utils/cache
+const CacheEntrySchema = new Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    value: {
+        type: Schema.Types.Mixed,
+    },
+    etag: {
+        type: String,
+    },
+    // fresh until then, stale but still usable after
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    // dropped by MongoDB once even stale data is too old to serve
+    purgeAt: {
+        type: Date,
+        required: true,
+    },
+});
+
+CacheEntrySchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('cacheentry', CacheEntrySchema);
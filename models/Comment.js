@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const CommentSchema = new Schema({
+    post: {
+        type: Schema.Types.ObjectId,
+        ref: 'post',
+        required: true,
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+    },
+    // comment being replied to, null for top-level comments
+    parent: {
+        type: Schema.Types.ObjectId,
+        ref: 'comment',
+        default: null,
+    },
+    depth: {
+        type: Number,
+        default: 0,
+    },
+    // Markdown source
+    text: {
+        type: String,
+        required: true,
+    },
+    // sanitized render of text, see utils/markdown
+    html: {
+        type: String,
+    },
+    name: {
+        type: String,
+    },
+    avatar: {
+        type: String,
+    },
+    likes: [
+        {
+            user: {
+                type: Schema.Types.ObjectId,
+                ref: 'users',
+            },
+        },
+    ],
+    likeCount: {
+        type: Number,
+        default: 0,
+    },
+    replyCount: {
+        type: Number,
+        default: 0,
+    },
+    // previous versions of the text, oldest first
+    edits: [
+        {
+            text: {
+                type: String,
+            },
+            date: {
+                type: Date,
+                default: Date.now,
+            },
+        },
+    ],
+    edited: {
+        type: Date,
+    },
+    // comments with replies are blanked rather than removed on delete
+    deleted: {
+        type: Boolean,
+        default: false,
+    },
+    date: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// Back paginated fetching of a thread level
+CommentSchema.index({ post: 1, parent: 1, date: -1, _id: -1 });
+CommentSchema.index({ user: 1 });
+
+// Full-text search, see utils/search
+CommentSchema.index({ text: 'text' }, { name: 'CommentTextIndex' });
+
+module.exports = mongoose.model('comment', CommentSchema);
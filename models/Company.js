@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A hiring company. Its members are the recruiters who can post its jobs.
+const CompanySchema = new Schema({
+    name: {
+        type: String,
+        required: true,
+    },
+    slug: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    website: {
+        type: String,
+    },
+    location: {
+        type: String,
+    },
+    description: {
+        type: String,
+    },
+    // can manage members as well as post jobs
+    owner: {
+        type: Schema.Types.ObjectId,
+        ref: 'user',
+        required: true,
+    },
+    members: [
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'user',
+        },
+    ],
+    date: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+CompanySchema.index({ members: 1 });
+
+module.exports = mongoose.model('company', CompanySchema);
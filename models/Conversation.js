@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const ConversationSchema = new Schema({
+    members: [
+        {
+            user: {
+                type: Schema.Types.ObjectId,
+                ref: 'user',
+                required: true,
+            },
+            // messages after this are unread for the member
+            lastReadAt: {
+                type: Date,
+                default: Date.now,
+            },
+        },
+    ],
+    // only group conversations have a name
+    name: {
+        type: String,
+    },
+    isGroup: {
+        type: Boolean,
+        default: false,
+    },
+    // sorted member ids, lets 1:1 conversations be found again
+    key: {
+        type: String,
+    },
+    lastMessage: {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: 'user',
+        },
+        text: {
+            type: String,
+        },
+    },
+    // time of the latest message, used to order the inbox
+    date: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+ConversationSchema.index({ 'members.user': 1, date: -1, _id: -1 });
+ConversationSchema.index(
+    { key: 1 },
+    { unique: true, partialFilterExpression: { isGroup: false } }
+);
+
+module.exports = mongoose.model('conversation', ConversationSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One user vouching for a skill on another user's profile
+const EndorsementSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'user',
+        required: true,
+    },
+    endorser: {
+        type: Schema.Types.ObjectId,
+        ref: 'user',
+        required: true,
+    },
+    // canonical skill name, as on the profile
+    skill: {
+        type: String,
+        required: true,
+    },
+    date: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+EndorsementSchema.index({ user: 1, skill: 1, endorser: 1 }, { unique: true });
+EndorsementSchema.index({ user: 1, skill: 1, date: -1, _id: -1 });
+EndorsementSchema.index({ endorser: 1 });
+
+module.exports = mongoose.model('endorsement', EndorsementSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A post pushed into a follower's feed when it was written, see utils/feed
+const FeedItemSchema = new Schema({
+    owner: {
+        type: Schema.Types.ObjectId,
+        ref: 'user',
+        required: true,
+    },
+    post: {
+        type: Schema.Types.ObjectId,
+        ref: 'post',
+        required: true,
+    },
+    author: {
+        type: Schema.Types.ObjectId,
+        ref: 'user',
+        required: true,
+    },
+    date: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+FeedItemSchema.index({ owner: 1, date: -1 });
+FeedItemSchema.index({ owner: 1, post: 1 }, { unique: true });
+FeedItemSchema.index({ post: 1 });
+
+// Feeds only look back a few weeks, older items are dead weight
+FeedItemSchema.index({ date: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('feeditem', FeedItemSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const FlagSchema = new Schema({
+    // user who flagged the content
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'user',
+        required: true,
+    },
+    post: {
+        type: Schema.Types.ObjectId,
+        ref: 'post',
+        required: true,
+    },
+    // set when a comment rather than the whole post was flagged
+    comment: {
+        type: Schema.Types.ObjectId,
+    },
+    reason: {
+        type: String,
+        required: true,
+    },
+    resolved: {
+        type: Boolean,
+        default: false,
+    },
+    resolvedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'user',
+    },
+    date: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+FlagSchema.index({ resolved: 1, date: -1 });
+
+module.exports = mongoose.model('flag', FlagSchema);
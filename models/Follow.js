@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A user following either another user or a skill tag
+const FollowSchema = new Schema({
+    follower: {
+        type: Schema.Types.ObjectId,
+        ref: 'user',
+        required: true,
+    },
+    following: {
+        type: Schema.Types.ObjectId,
+        ref: 'user',
+    },
+    // lowercase skill, set instead of following
+    tag: {
+        type: String,
+    },
+    date: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+FollowSchema.index(
+    { follower: 1, following: 1 },
+    { unique: true, partialFilterExpression: { following: { $exists: true } } }
+);
+FollowSchema.index(
+    { follower: 1, tag: 1 },
+    { unique: true, partialFilterExpression: { tag: { $exists: true } } }
+);
+FollowSchema.index({ following: 1, date: -1, _id: -1 });
+FollowSchema.index({ follower: 1, date: -1, _id: -1 });
+
+module.exports = mongoose.model('follow', FollowSchema);
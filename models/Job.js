@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const JobSchema = new Schema({
+    company: {
+        type: Schema.Types.ObjectId,
+        ref: 'company',
+        required: true,
+    },
+    postedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'user',
+    },
+    title: {
+        type: String,
+        required: true,
+    },
+    // Markdown source and its sanitized render, see utils/markdown
+    description: {
+        type: String,
+        required: true,
+    },
+    html: {
+        type: String,
+    },
+    // canonical skill names, see utils/skills
+    skills: {
+        type: [String],
+    },
+    location: {
+        type: String,
+    },
+    remote: {
+        type: Boolean,
+        default: false,
+    },
+    salary: {
+        min: {
+            type: Number,
+        },
+        max: {
+            type: Number,
+        },
+        // ISO 4217 code
+        currency: {
+            type: String,
+            default: 'USD',
+        },
+    },
+    status: {
+        type: String,
+        enum: ['open', 'closed'],
+        default: 'open',
+    },
+    applicationCount: {
+        type: Number,
+        default: 0,
+    },
+    date: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// Back the listing, filters and matching in api/jobs
+JobSchema.index({ status: 1, date: -1, _id: -1 });
+JobSchema.index({ status: 1, skills: 1 });
+JobSchema.index({ company: 1, date: -1, _id: -1 });
+
+module.exports = mongoose.model('job', JobSchema);
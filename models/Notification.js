@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Repeated events on the same target are grouped into one unread
+// notification, e.g. "Ann and 4 others reacted to your post"
+const NotificationSchema = new Schema({
+    // recipient
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'user',
+        required: true,
+    },
+    type: {
+        type: String,
+        enum: ['reaction', 'comment', 'reply'],
+        required: true,
+    },
+    // identifies the group, e.g. `reaction:<post id>`
+    groupKey: {
+        type: String,
+        required: true,
+    },
+    post: {
+        type: Schema.Types.ObjectId,
+        ref: 'post',
+    },
+    comment: {
+        type: Schema.Types.ObjectId,
+        ref: 'comment',
+    },
+    actorIds: [
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'user',
+        },
+    ],
+    // most recent actor, shown by name
+    lastActor: {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: 'user',
+        },
+        name: {
+            type: String,
+        },
+        avatar: {
+            type: String,
+        },
+    },
+    read: {
+        type: Boolean,
+        default: false,
+    },
+    // time of the latest event in the group
+    date: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+NotificationSchema.index(
+    { user: 1, groupKey: 1 },
+    { unique: true, partialFilterExpression: { read: false } }
+);
+NotificationSchema.index({ user: 1, date: -1, _id: -1 });
+NotificationSchema.index({ user: 1, read: 1 });
+
+module.exports = mongoose.model('notification', NotificationSchema);
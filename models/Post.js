@@ -1,55 +1,114 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { TYPES } = require('../utils/reactions');
+
+const reactionCounts = {};
+TYPES.forEach((type) => {
+    reactionCounts[type] = { type: Number, default: 0 };
+});
 
 const PostSchema = new Schema({
     user: {
         type: Schema.Types.ObjectId,
         ref: 'users',
     },
+    // Markdown source
     text: {
         type: String,
         required: true,
     },
+    // sanitized render of text, see utils/markdown
+    html: {
+        type: String,
+    },
+    // lowercase skill tags, followable through api/feed/tags
+    tags: {
+        type: [String],
+    },
     name: {
         type: String,
     },
     avatar: {
         type: String,
     },
-    likes: [
+    // stored by utils/images, keys are kept so the files can be removed
+    images: [
         {
-            user: {
-                type: Schema.Types.ObjectId,
-                ref: 'users',
-            },
+            url: String,
+            thumbnailUrl: String,
+            key: String,
+            thumbnailKey: String,
+            width: Number,
+            height: Number,
         },
     ],
-    comments: [
+    // newest first, one per user, see utils/reactions
+    reactions: [
         {
             user: {
                 type: Schema.Types.ObjectId,
                 ref: 'users',
             },
-            text: {
+            type: {
                 type: String,
+                enum: TYPES,
                 required: true,
             },
-            name: {
-                type: String,
-            },
-            avatar: {
-                type: String,
-            },
             date: {
                 type: Date,
                 default: Date.now,
             },
         },
     ],
+    reactionCounts,
+    // current revision number, see models/Revision
+    revision: {
+        type: Number,
+        default: 1,
+    },
+    edited: {
+        type: Date,
+    },
+    // Denormalized so posts can be sorted and filtered by engagement.
+    // likeCount is the total of all reaction types. Comments live in their
+    // own collection, see models/Comment.
+    likeCount: {
+        type: Number,
+        default: 0,
+    },
+    commentCount: {
+        type: Number,
+        default: 0,
+    },
     date: {
         type: Date,
         default: Date.now,
     },
 });
 
+PostSchema.pre('save', function (next) {
+    this.likeCount = this.reactions.length;
+    TYPES.forEach((type) => {
+        this.reactionCounts[type] = this.reactions.filter(
+            (reaction) => reaction.type === type
+        ).length;
+    });
+    next();
+});
+
+// Back the sort orders offered by GET api/posts
+PostSchema.index({ date: -1, _id: -1 });
+PostSchema.index({ likeCount: -1, _id: -1 });
+PostSchema.index({ commentCount: -1, _id: -1 });
+PostSchema.index({ user: 1, date: -1, _id: -1 });
+
+// Back tag lookups for GET api/feed
+PostSchema.index({ tags: 1, date: -1 });
+
+// Full-text search, weighted like searchFields in utils/search
+PostSchema.index(
+    { text: 'text' },
+    { name: 'PostTextIndex', weights: { text: 5 } }
+);
+
 module.exports = mongoose.model('post', PostSchema);
@@ -19,16 +19,46 @@ const ProfileSchema = new Schema({
         type: String,
         required: true,
     },
+    // canonical skill names, see utils/skills
     skills: {
         type: [String],
         required: true,
     },
+    // endorsement counts per skill, kept in step by utils/skills
+    endorsements: [
+        {
+            _id: false,
+            skill: {
+                type: String,
+            },
+            count: {
+                type: Number,
+            },
+        },
+    ],
     bio: {
         type: String,
     },
     githubUsername: {
         type: String,
     },
+    // accounts on code hosts, see utils/providers
+    codeAccounts: [
+        {
+            provider: {
+                type: String,
+                required: true,
+            },
+            // empty means the provider's public host
+            host: {
+                type: String,
+            },
+            username: {
+                type: String,
+                required: true,
+            },
+        },
+    ],
     experience: [
         {
             title: {
@@ -105,10 +135,78 @@ const ProfileSchema = new Schema({
             type: String,
         },
     },
+    // who can see each contact detail in exports: anyone, followers or
+    // only the owner
+    contactVisibility: {
+        email: {
+            type: String,
+            enum: ['public', 'followers', 'private'],
+            default: 'private',
+        },
+        location: {
+            type: String,
+            enum: ['public', 'followers', 'private'],
+            default: 'public',
+        },
+        website: {
+            type: String,
+            enum: ['public', 'followers', 'private'],
+            default: 'public',
+        },
+        social: {
+            type: String,
+            enum: ['public', 'followers', 'private'],
+            default: 'public',
+        },
+    },
     date: {
         type: Date,
         default: Date.now,
     },
 });
 
+// Keep experience and education newest first, current entries on top
+const newestFirst = (a, b) =>
+    Number(b.current) - Number(a.current) || b.from - a.from;
+
+ProfileSchema.pre('save', function (next) {
+    if (this.isModified('experience')) this.experience.sort(newestFirst);
+    if (this.isModified('education')) this.education.sort(newestFirst);
+    next();
+});
+
+// Back the listing and filters offered by GET api/profile
+ProfileSchema.index({ date: -1, _id: -1 });
+ProfileSchema.index({ user: 1 });
+ProfileSchema.index({ skills: 1, date: -1 });
+
+// Resolve @mentions, which match GitHub usernames case-insensitively
+ProfileSchema.index(
+    { githubUsername: 1 },
+    { collation: { locale: 'en', strength: 2 } }
+);
+
+// Full-text search, weighted like searchFields in utils/search
+ProfileSchema.index(
+    {
+        skills: 'text',
+        status: 'text',
+        company: 'text',
+        location: 'text',
+        'experience.title': 'text',
+        bio: 'text',
+    },
+    {
+        name: 'ProfileTextIndex',
+        weights: {
+            skills: 10,
+            status: 5,
+            company: 3,
+            location: 3,
+            'experience.title': 3,
+            bio: 1,
+        },
+    }
+);
+
 module.exports = Profile = mongoose.model('profile', ProfileSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A superseded version of a post's text. The live text on the post is
+// always the latest revision and isn't stored here.
+const RevisionSchema = new Schema({
+    post: {
+        type: Schema.Types.ObjectId,
+        ref: 'post',
+        required: true,
+    },
+    number: {
+        type: Number,
+        required: true,
+    },
+    text: {
+        type: String,
+        required: true,
+    },
+    // when this version was written
+    date: {
+        type: Date,
+        required: true,
+    },
+});
+
+RevisionSchema.index({ post: 1, number: 1 }, { unique: true });
+
+module.exports = mongoose.model('revision', RevisionSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const SessionSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'user',
+        required: true,
+        index: true,
+    },
+    // sha256 of the current refresh token secret, never the token itself
+    tokenHash: {
+        type: String,
+        required: true,
+    },
+    userAgent: {
+        type: String,
+    },
+    ip: {
+        type: String,
+    },
+    revokedAt: {
+        type: Date,
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    date: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// Let MongoDB clean up sessions once the refresh token has expired
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('session', SessionSchema);
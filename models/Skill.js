@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A canonical skill profiles can list, see utils/skills
+const SkillSchema = new Schema({
+    // display name stored on profiles, e.g. Node.js
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    slug: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    // skillKey of the name and every alias, e.g. nodejs and node
+    keys: {
+        type: [String],
+        required: true,
+    },
+    profileCount: {
+        type: Number,
+        default: 0,
+    },
+    date: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+SkillSchema.index({ keys: 1 }, { unique: true });
+SkillSchema.index({ profileCount: -1 });
+
+module.exports = mongoose.model('skill', SkillSchema);
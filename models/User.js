@@ -11,17 +11,131 @@ const UserSchema = new Schema({
         required: true,
         unique: true,
     },
+    // users who only sign in through OAuth have none
     password: {
         type: String,
-        required: true,
+        required() {
+            return !this.identities || !this.identities.length;
+        },
     },
     avatar: {
         type: String,
     },
+    // set when the avatar is an upload rather than the Gravatar
+    avatarImage: {
+        key: String,
+        thumbnailKey: String,
+    },
+    emailVerified: {
+        type: Boolean,
+        default: false,
+    },
+    role: {
+        type: String,
+        enum: ['user', 'moderator', 'admin'],
+        default: 'user',
+    },
+    suspendedUntil: {
+        type: Date,
+    },
+    banned: {
+        type: Boolean,
+        default: false,
+    },
+    moderationReason: {
+        type: String,
+    },
+    followerCount: {
+        type: Number,
+        default: 0,
+    },
+    followingCount: {
+        type: Number,
+        default: 0,
+    },
+    // users whose messages, posts and comments this user doesn't want to see
+    blocked: [
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'user',
+        },
+    ],
+    // notification types the user has switched off, see models/Notification
+    mutedNotifications: {
+        type: [String],
+        default: [],
+    },
+    // accounts at OAuth providers the user can log in with, see utils/oauth
+    identities: [
+        {
+            provider: {
+                type: String,
+                required: true,
+            },
+            // the provider's id for the account
+            subject: {
+                type: String,
+                required: true,
+            },
+            username: {
+                type: String,
+            },
+            email: {
+                type: String,
+            },
+            date: {
+                type: Date,
+                default: Date.now,
+            },
+        },
+    ],
+    // see utils/twoFactor. Secrets and recovery code hashes are only loaded
+    // when asked for.
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false,
+        },
+        secret: {
+            type: String,
+            select: false,
+        },
+        // set between setup and the first code being confirmed
+        pendingSecret: {
+            type: String,
+            select: false,
+        },
+        recoveryCodes: {
+            type: [String],
+            select: false,
+        },
+        // time step of the last code used, so it can't be replayed
+        lastUsedStep: {
+            type: Number,
+        },
+        enabledAt: {
+            type: Date,
+        },
+    },
+    // set while the account waits out the grace period before it's purged,
+    // see utils/accounts
+    deletion: {
+        requestedAt: Date,
+        purgeAt: Date,
+        anonymize: Boolean,
+    },
     date: {
         type: Date,
         default: Date.now,
     },
 });
 
+UserSchema.index({ 'deletion.purgeAt': 1 }, { sparse: true });
+
+// Back finding who blocked a user, see utils/accounts
+UserSchema.index({ blocked: 1 });
+// Not unique: with several identities the keys would mix providers and
+// subjects across them. utils/oauth checks an account isn't linked twice.
+UserSchema.index({ 'identities.subject': 1, 'identities.provider': 1 });
+
 module.exports = User = mongoose.model('user', UserSchema);
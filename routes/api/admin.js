@@ -0,0 +1,304 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const auth = require('../../middleware/auth');
+const validate = require('../../middleware/validate');
+const validId = require('../../middleware/validId');
+const { ROLES, hasRole, requireRole } = require('../../middleware/roles');
+const asyncHandler = require('../../utils/asyncHandler');
+const {
+    ConflictError,
+    ForbiddenError,
+    NotFoundError,
+} = require('../../utils/errors');
+const { revokeSessions } = require('../../utils/session');
+const { skillKey, skillSlug, findSkill } = require('../../utils/skills');
+
+const User = require('../../models/User');
+const Post = require('../../models/Post');
+const Comment = require('../../models/Comment');
+const Flag = require('../../models/Flag');
+const Revision = require('../../models/Revision');
+const Skill = require('../../models/Skill');
+const Profile = require('../../models/Profile');
+const FeedItem = require('../../models/FeedItem');
+const { deleteComment } = require('../../utils/comments');
+const { removeImagesLater } = require('../../utils/images');
+
+// Every route in here is for moderators and up
+router.use(auth, requireRole('moderator'));
+
+router.param('flag_id', validId('Flag not found.'));
+router.param('post_id', validId('Post not found.'));
+router.param('comment_id', validId('Comment does not exist.'));
+router.param('user_id', validId('User not found.'));
+
+/**
+ * Moderators can't act on their peers or on admins
+ */
+const outranks = (actor, target) =>
+    hasRole(actor, 'admin') || !hasRole(target, 'moderator');
+
+/**
+ * @route GET api/admin/flags
+ * @desc List flagged content, open flags by default
+ * @access Moderator
+ */
+router.get(
+    '/flags',
+    asyncHandler(async (req, res) => {
+        const flags = await Flag.find({
+            resolved: req.query.resolved === 'true',
+        })
+            .sort({ date: -1 })
+            .populate('user', ['name', 'avatar'])
+            .populate('post');
+
+        res.json(flags);
+    })
+);
+
+/**
+ * @route PUT api/admin/flags/:flag_id/resolve
+ * @desc Mark a flag as dealt with without removing anything
+ * @access Moderator
+ */
+router.put(
+    '/flags/:flag_id/resolve',
+    asyncHandler(async (req, res) => {
+        const flag = await Flag.findByIdAndUpdate(
+            req.params.flag_id,
+            { $set: { resolved: true, resolvedBy: req.user.id } },
+            { new: true }
+        );
+
+        if (!flag) {
+            throw new NotFoundError('Flag not found.');
+        }
+
+        res.json(flag);
+    })
+);
+
+/**
+ * @route DELETE api/admin/posts/:post_id
+ * @desc Remove any post
+ * @access Moderator
+ */
+router.delete(
+    '/posts/:post_id',
+    asyncHandler(async (req, res) => {
+        const post = await Post.findById(req.params.post_id);
+
+        if (!post) {
+            throw new NotFoundError('Post not found.');
+        }
+
+        await post.remove();
+        await Comment.deleteMany({ post: post.id });
+        await Revision.deleteMany({ post: post.id });
+        await FeedItem.deleteMany({ post: post.id });
+        await Flag.updateMany(
+            { post: post.id },
+            { $set: { resolved: true, resolvedBy: req.user.id } }
+        );
+        removeImagesLater(post.images);
+
+        res.json({ msg: 'Post removed' });
+    })
+);
+
+/**
+ * @route DELETE api/admin/posts/:post_id/comments/:comment_id
+ * @desc Remove any comment
+ * @access Moderator
+ */
+router.delete(
+    '/posts/:post_id/comments/:comment_id',
+    asyncHandler(async (req, res) => {
+        const comment = await Comment.findOne({
+            _id: req.params.comment_id,
+            post: req.params.post_id,
+        });
+
+        if (!comment || comment.deleted) {
+            throw new NotFoundError('Comment does not exist.');
+        }
+
+        await deleteComment(comment);
+        await Flag.updateMany(
+            { comment: comment.id },
+            { $set: { resolved: true, resolvedBy: req.user.id } }
+        );
+
+        res.json({ msg: 'Comment removed' });
+    })
+);
+
+/**
+ * Load the target user for the moderation routes below, refusing when the
+ * acting user doesn't outrank them
+ */
+const loadTarget = async (req) => {
+    const user = await User.findById(req.params.user_id).select('-password');
+
+    if (!user) {
+        throw new NotFoundError('User not found.');
+    }
+
+    if (!outranks(req.user, user)) {
+        throw new ForbiddenError('Not authorized.');
+    }
+
+    return user;
+};
+
+/**
+ * @route PUT api/admin/users/:user_id/suspend
+ * @desc Suspend a user for a number of days and end all their sessions
+ * @access Moderator
+ */
+router.put(
+    '/users/:user_id/suspend',
+    [
+        check('days', 'Days must be a positive number.').isInt({ min: 1 }),
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const user = await loadTarget(req);
+
+        user.suspendedUntil = new Date(
+            Date.now() + req.body.days * 24 * 60 * 60 * 1000
+        );
+        user.moderationReason = req.body.reason;
+        await user.save();
+        await revokeSessions(user.id);
+
+        res.json(user);
+    })
+);
+
+/**
+ * @route PUT api/admin/users/:user_id/ban
+ * @desc Ban a user and end all their sessions
+ * @access Moderator
+ */
+router.put(
+    '/users/:user_id/ban',
+    asyncHandler(async (req, res) => {
+        const user = await loadTarget(req);
+
+        user.banned = true;
+        user.moderationReason = req.body.reason;
+        await user.save();
+        await revokeSessions(user.id);
+
+        res.json(user);
+    })
+);
+
+/**
+ * @route PUT api/admin/users/:user_id/reinstate
+ * @desc Lift a suspension or ban
+ * @access Moderator
+ */
+router.put(
+    '/users/:user_id/reinstate',
+    asyncHandler(async (req, res) => {
+        const user = await loadTarget(req);
+
+        user.banned = false;
+        user.suspendedUntil = undefined;
+        user.moderationReason = undefined;
+        await user.save();
+
+        res.json(user);
+    })
+);
+
+/**
+ * @route PUT api/admin/users/:user_id/role
+ * @desc Change a user's role
+ * @access Admin
+ */
+router.put(
+    '/users/:user_id/role',
+    [
+        requireRole('admin'),
+        [check('role', 'Role is not valid.').isIn(ROLES)],
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const user = await User.findByIdAndUpdate(
+            req.params.user_id,
+            { $set: { role: req.body.role } },
+            { new: true }
+        ).select('-password');
+
+        if (!user) {
+            throw new NotFoundError('User not found.');
+        }
+
+        res.json(user);
+    })
+);
+
+/**
+ * @route POST api/admin/skills
+ * @desc Add a skill to the taxonomy, with optional aliases. Profiles that
+ *       already list it by name are counted.
+ * @access Admin
+ */
+router.post(
+    '/skills',
+    [
+        requireRole('admin'),
+        [
+            check('name', 'Name is required.')
+                .isString()
+                .trim()
+                .not()
+                .isEmpty(),
+            check('aliases', 'Aliases must be a list of names.')
+                .optional()
+                .isArray(),
+            check('aliases.*', 'Aliases must be a list of names.').isString(),
+        ],
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const { name, aliases = [] } = req.body;
+        const names = [name, ...aliases];
+
+        for (const known of names) {
+            if (await findSkill(known)) {
+                throw new ConflictError(`${known} is already a skill.`, {
+                    code: 'skill_exists',
+                });
+            }
+        }
+
+        const skill = new Skill({
+            name,
+            slug: skillSlug(name),
+            keys: [...new Set(names.map(skillKey).filter(Boolean))],
+            profileCount: await Profile.countDocuments({ skills: name }),
+        });
+
+        try {
+            await skill.save();
+        } catch (err) {
+            if (err.code === 11000) {
+                throw new ConflictError(`${name} is already a skill.`, {
+                    code: 'skill_exists',
+                });
+            }
+
+            throw err;
+        }
+
+        res.json(skill);
+    })
+);
+
+module.exports = router;
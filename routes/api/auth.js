@@ -1,26 +1,211 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../../middleware/auth');
+const optionalAuth = require('../../middleware/optionalAuth');
+const rateLimit = require('../../middleware/rateLimit');
+const validate = require('../../middleware/validate');
 const User = require('../../models/User');
-const { check, validationResult } = require('express-validator');
+const { check } = require('express-validator');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const config = require('config');
+const {
+    createSession,
+    rotateSession,
+    revokeSessions,
+} = require('../../utils/session');
+const { createToken, consumeToken } = require('../../utils/tokens');
+const {
+    sendPasswordResetEmail,
+    sendVerificationEmail,
+} = require('../../utils/mail');
+const { restoreAccount } = require('../../utils/accounts');
+const {
+    lockedFor,
+    recordFailure,
+    clearFailures,
+} = require('../../utils/rateLimit');
+const {
+    generateSecret,
+    verifyTotp,
+    otpauthURL,
+    qrCode,
+    generateRecoveryCodes,
+    useSecondFactor,
+    signChallenge,
+    verifyChallenge,
+} = require('../../utils/twoFactor');
+const oauth = require('../../utils/oauth');
+const asyncHandler = require('../../utils/asyncHandler');
+const {
+    AuthenticationError,
+    BadRequestError,
+    ForbiddenError,
+    NotFoundError,
+    RateLimitError,
+} = require('../../utils/errors');
+
+// User fields needed to check two-factor codes
+const twoFactorFields = '+twoFactor.secret +twoFactor.recoveryCodes';
+
+/**
+ * Lockout counters fail open like middleware/rateLimit: when the store is
+ * down, log it and carry on with `fallback` rather than refuse every login
+ */
+const fromStore = (promise, fallback) =>
+    promise.catch((err) => {
+        console.error(err.message);
+        return fallback;
+    });
+
+/**
+ * Check an email and password, counting failures towards locking the
+ * account. Resolves to `{ user }`, or `{ lockedFor }` in milliseconds while
+ * the account is locked, or `{}` when the credentials are wrong.
+ */
+const checkCredentials = async (email, password) => {
+    const account = email.toLowerCase();
+    const locked = await fromStore(lockedFor(account), 0);
+
+    if (locked) {
+        return { lockedFor: locked };
+    }
+
+    const user = await User.findOne({ email });
+    // Users who only sign in through OAuth have no password to match
+    const isMatch =
+        user &&
+        user.password &&
+        (await bcrypt.compare(password, user.password));
+
+    if (!isMatch) {
+        await fromStore(recordFailure(account));
+        return {};
+    }
+
+    await fromStore(clearFailures(account));
+    return { user };
+};
+
+/**
+ * Tokens for a user who passed the password check, or a challenge to
+ * exchange for them at POST api/auth/2fa when two-factor is enabled. With
+ * `restore` a scheduled deletion is cancelled, but only once every factor
+ * has checked out.
+ */
+const startSession = async (user, req, { restore = false } = {}) => {
+    if (user.twoFactor && user.twoFactor.enabled) {
+        return {
+            twoFactorRequired: true,
+            challengeToken: signChallenge(user.id, { restore }),
+        };
+    }
+
+    if (restore) {
+        await restoreAccount(user.id);
+    }
+
+    return createSession(user.id, req);
+};
+
+/**
+ * Check a two-factor code, locking further attempts after too many misses.
+ * Resolves to `{ used }` with the kind of code used, `{ lockedFor }` in
+ * milliseconds while locked, or `{}` when the code is wrong.
+ */
+const checkSecondFactor = async (user, code) => {
+    const account = `2fa:${user.id}`;
+    const locked = await fromStore(lockedFor(account), 0);
+
+    if (locked) {
+        return { lockedFor: locked };
+    }
+
+    const used = await useSecondFactor(user, code);
+
+    if (!used) {
+        await fromStore(recordFailure(account));
+        return {};
+    }
+
+    await fromStore(clearFailures(account));
+    return { used };
+};
+
+const lockedOut = (ms) => {
+    const seconds = Math.ceil(ms / 1000);
+
+    return new RateLimitError(
+        `Too many failed logins. Try again in ${Math.ceil(
+            seconds / 60
+        )} minutes.`,
+        { code: 'account_locked', retryAfter: seconds }
+    );
+};
+
+const invalidCode = () =>
+    new BadRequestError('Invalid two-factor code.', { code: 'invalid_code' });
+
+/**
+ * Ask for the password and a current code before changing two-factor
+ * settings, throwing when they don't check out
+ */
+const reauthenticate = async (user, req) => {
+    const { password, code } = req.body;
+
+    if (
+        !user.password ||
+        !(await bcrypt.compare(String(password || ''), user.password))
+    ) {
+        throw new BadRequestError('Invalid credentials.', {
+            code: 'invalid_credentials',
+        });
+    }
+
+    const { used, lockedFor: locked } = await checkSecondFactor(user, code);
+
+    if (locked) {
+        throw lockedOut(locked);
+    }
+
+    if (!used) {
+        throw invalidCode();
+    }
+};
+
+/**
+ * Refuse to start a session for a banned or suspended account
+ */
+const checkActive = (user) => {
+    if (
+        user.banned ||
+        (user.suspendedUntil && user.suspendedUntil > Date.now())
+    ) {
+        throw new ForbiddenError('Account is suspended or banned.', {
+            code: 'account_suspended',
+        });
+    }
+};
+
+const twoFactorRequired = (user) => {
+    if (!user.twoFactor.enabled) {
+        throw new BadRequestError('Two-factor authentication is not enabled.', {
+            code: 'two_factor_disabled',
+        });
+    }
+};
 
 /**
  * @route GET api/auth
  * @desc Test route
  * @access Public
  */
-router.get('/', auth, async (req, res) => {
-    try {
+router.get(
+    '/',
+    auth,
+    asyncHandler(async (req, res) => {
         const user = await User.findById(req.user.id).select('-password');
         res.json(user);
-    } catch (err) {
-        console.log(err.message);
-        res.status(500).send('Server Error.');
-    }
-});
+    })
+);
 
 /**
  * @route POST api/auth
@@ -30,61 +215,508 @@ router.get('/', auth, async (req, res) => {
 router.post(
     '/',
     [
-        check('email', 'Please enter a valid email').isEmail(),
-        check('password', 'Password is required.').exists(),
+        rateLimit('auth'),
+        check('email', 'Please enter a valid email').isString().isEmail(),
+        check('password', 'Password is required.').isString(),
+        validate,
     ],
 
     // Handle request and response
-    async (req, res) => {
-        const errors = validationResult(req);
+    asyncHandler(async (req, res) => {
+        const { email, password } = req.body;
+
+        const { user, lockedFor: locked } = await checkCredentials(
+            email,
+            password
+        );
 
-        if (!errors.isEmpty()) {
-            return res.status(400).json({ errors: errors.mapped() });
+        if (locked) {
+            throw lockedOut(locked);
         }
 
+        if (!user) {
+            throw new AuthenticationError('Invalid credentials.', {
+                code: 'invalid_credentials',
+            });
+        }
+
+        checkActive(user);
+
+        if (user.deletion && user.deletion.purgeAt) {
+            throw new ForbiddenError(
+                `Account is scheduled for deletion on ${user.deletion.purgeAt.toISOString()}. Restore it with POST api/auth/restore.`,
+                { code: 'account_pending_deletion' }
+            );
+        }
+
+        // Return access and refresh tokens, or a two-factor challenge
+        res.json(await startSession(user, req));
+    })
+);
+
+/**
+ * @route POST api/auth/restore
+ * @desc Cancel a scheduled account deletion and log in
+ * @access Public
+ */
+router.post(
+    '/restore',
+    [
+        rateLimit('auth'),
+        check('email', 'Please enter a valid email').isString().isEmail(),
+        check('password', 'Password is required.').isString(),
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
         const { email, password } = req.body;
 
-        try {
-            // Check database for user
-            let user = await User.findOne({ email });
+        const { user, lockedFor: locked } = await checkCredentials(
+            email,
+            password
+        );
+
+        if (locked) {
+            throw lockedOut(locked);
+        }
+
+        if (!user) {
+            throw new AuthenticationError('Invalid credentials.', {
+                code: 'invalid_credentials',
+            });
+        }
+
+        if (!user.deletion || !user.deletion.purgeAt) {
+            throw new BadRequestError(
+                'Account is not scheduled for deletion.',
+                { code: 'not_pending_deletion' }
+            );
+        }
+
+        res.json(await startSession(user, req, { restore: true }));
+    })
+);
+
+/**
+ * @route POST api/auth/refresh
+ * @desc Exchange a refresh token for a new access and refresh token
+ * @access Public
+ */
+router.post(
+    '/refresh',
+    [
+        check('refreshToken', 'Refresh token is required.').not().isEmpty(),
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const tokens = await rotateSession(req.body.refreshToken);
+
+        if (!tokens) {
+            throw new AuthenticationError('Refresh token is not valid.', {
+                code: 'refresh_token_invalid',
+            });
+        }
+
+        res.json(tokens);
+    })
+);
+
+/**
+ * @route POST api/auth/logout
+ * @desc Revoke the current session
+ * @access Private
+ */
+router.post(
+    '/logout',
+    auth,
+    asyncHandler(async (req, res) => {
+        await revokeSessions(req.user.id, req.sessionId);
+        res.json({ msg: 'Logged out.' });
+    })
+);
+
+/**
+ * @route POST api/auth/logout/all
+ * @desc Revoke every session the user has, logging out all devices
+ * @access Private
+ */
+router.post(
+    '/logout/all',
+    auth,
+    asyncHandler(async (req, res) => {
+        await revokeSessions(req.user.id);
+        res.json({ msg: 'Logged out of all devices.' });
+    })
+);
+
+/**
+ * @route POST api/auth/forgot
+ * @desc Email a password reset link
+ * @access Public
+ */
+router.post(
+    '/forgot',
+    [
+        rateLimit('auth'),
+        check('email', 'Please enter a valid email').isString().isEmail(),
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const user = await User.findOne({ email: req.body.email });
+
+        // Respond the same either way so emails can't be probed
+        if (user) {
+            const resetToken = await createToken(user.id, 'reset-password');
+            await sendPasswordResetEmail(user, resetToken);
+        }
+
+        res.json({
+            msg: 'If that account exists, a reset link has been sent.',
+        });
+    })
+);
+
+/**
+ * @route POST api/auth/reset/:token
+ * @desc Set a new password using a reset link
+ * @access Public
+ */
+router.post(
+    '/reset/:token',
+    [
+        rateLimit('auth'),
+        check(
+            'password',
+            'Please enter a password between 6 and 30 characters.'
+        ).isLength({ min: 6, max: 30 }),
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const userId = await consumeToken(req.params.token, 'reset-password');
+        const user = userId && (await User.findById(userId));
+
+        if (!user) {
+            throw new BadRequestError('Reset link is invalid or expired.', {
+                code: 'link_invalid',
+            });
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        user.password = await bcrypt.hash(req.body.password, salt);
+
+        // The reset link proves the user owns the address
+        user.emailVerified = true;
+        await user.save();
+
+        // Sign out everywhere in case the old password was compromised
+        await revokeSessions(user.id);
+
+        // The reset link proves it's the owner, let them log in again
+        await fromStore(clearFailures(user.email.toLowerCase()));
+
+        res.json({ msg: 'Password has been reset.' });
+    })
+);
+
+/**
+ * @route POST api/auth/2fa
+ * @desc Finish logging in with a two-factor code, or a recovery code, and
+ *       the challenge token from POST api/auth
+ * @access Public
+ */
+router.post(
+    '/2fa',
+    [
+        rateLimit('auth'),
+        check('challengeToken', 'Challenge token is required.').not().isEmpty(),
+        check('code', 'Code is required.').not().isEmpty(),
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const challenge = verifyChallenge(req.body.challengeToken);
+        const user =
+            challenge &&
+            (await User.findById(challenge.userId).select(twoFactorFields));
+
+        if (!user) {
+            throw new AuthenticationError(
+                'Challenge has expired. Log in again.',
+                { code: 'challenge_expired' }
+            );
+        }
+
+        const { used, lockedFor: locked } = await checkSecondFactor(
+            user,
+            req.body.code
+        );
+
+        if (locked) {
+            throw lockedOut(locked);
+        }
+
+        if (!used) {
+            throw invalidCode();
+        }
+
+        if (challenge.restore) {
+            await restoreAccount(user.id);
+        }
+
+        const tokens = await createSession(user.id, req);
+
+        if (used === 'recovery') {
+            tokens.recoveryCodesLeft = user.twoFactor.recoveryCodes.length;
+        }
+
+        res.json(tokens);
+    })
+);
+
+/**
+ * @route POST api/auth/2fa/setup
+ * @desc Start enrolling an authenticator app. Returns the secret with a QR
+ *       code to scan, confirm it with POST api/auth/2fa/enable.
+ * @access Private
+ */
+router.post(
+    '/2fa/setup',
+    auth,
+    asyncHandler(async (req, res) => {
+        const user = await User.findById(req.user.id);
+
+        if (user.twoFactor.enabled) {
+            throw new BadRequestError(
+                'Two-factor authentication is already enabled.',
+                { code: 'two_factor_enabled' }
+            );
+        }
+
+        const secret = generateSecret();
+        const url = otpauthURL(secret, user.email);
+
+        user.twoFactor.pendingSecret = secret;
+        await user.save();
+
+        res.json({ secret, otpauthURL: url, qrCode: await qrCode(url) });
+    })
+);
+
+/**
+ * @route POST api/auth/2fa/enable
+ * @desc Confirm enrollment with a code from the app. Returns recovery codes,
+ *       which are only ever shown this once.
+ * @access Private
+ */
+router.post(
+    '/2fa/enable',
+    [auth, check('code', 'Code is required.').not().isEmpty(), validate],
+    asyncHandler(async (req, res) => {
+        const user = await User.findById(req.user.id).select(
+            '+twoFactor.pendingSecret'
+        );
+        const { pendingSecret } = user.twoFactor;
+
+        if (user.twoFactor.enabled || !pendingSecret) {
+            throw new BadRequestError('Start with POST api/auth/2fa/setup.', {
+                code: 'setup_required',
+            });
+        }
+
+        const step = verifyTotp(pendingSecret, req.body.code);
+
+        if (step === null) {
+            throw invalidCode();
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+
+        user.twoFactor = {
+            enabled: true,
+            secret: pendingSecret,
+            recoveryCodes: hashes,
+            lastUsedStep: step,
+            enabledAt: Date.now(),
+        };
+        await user.save();
+
+        res.json({
+            msg: 'Two-factor authentication enabled.',
+            recoveryCodes: codes,
+        });
+    })
+);
+
+/**
+ * @route DELETE api/auth/2fa
+ * @desc Turn off two-factor authentication, given the password and a code
+ * @access Private
+ */
+router.delete(
+    '/2fa',
+    auth,
+    asyncHandler(async (req, res) => {
+        const user = await User.findById(req.user.id).select(twoFactorFields);
+
+        twoFactorRequired(user);
+        await reauthenticate(user, req);
+
+        user.twoFactor = { enabled: false };
+        await user.save();
+
+        res.json({ msg: 'Two-factor authentication disabled.' });
+    })
+);
+
+/**
+ * @route POST api/auth/2fa/recovery-codes
+ * @desc Replace the recovery codes, given the password and a code
+ * @access Private
+ */
+router.post(
+    '/2fa/recovery-codes',
+    auth,
+    asyncHandler(async (req, res) => {
+        const user = await User.findById(req.user.id).select(twoFactorFields);
+
+        twoFactorRequired(user);
+        await reauthenticate(user, req);
+
+        const { codes, hashes } = generateRecoveryCodes();
+
+        user.twoFactor.recoveryCodes = hashes;
+        await user.save();
+
+        res.json({ recoveryCodes: codes });
+    })
+);
+
+/**
+ * @route GET api/auth/oauth
+ * @desc List the OAuth providers users can log in with
+ * @access Public
+ */
+router.get('/oauth', (req, res) => {
+    res.json(oauth.listProviders());
+});
+
+/**
+ * @route GET api/auth/oauth/:provider
+ * @desc Get the provider URL to send the user to, and a clientKey to keep
+ *       for the callback. Pass `link=true` while logged in to link the
+ *       account instead of logging in with it. The provider sends the user
+ *       back with a code and state for the callback.
+ * @query link
+ * @access Public
+ */
+router.get(
+    '/oauth/:provider',
+    optionalAuth,
+    asyncHandler(async (req, res) => {
+        const link = req.query.link === 'true';
+
+        if (link && !req.user) {
+            throw new AuthenticationError('Log in to link an account.');
+        }
+
+        const { url, clientKey } = await oauth.startAuthorization(
+            req.params.provider,
+            { linkTo: link ? req.user.id : undefined }
+        );
+
+        res.json({ url, clientKey });
+    })
+);
+
+/**
+ * @route POST api/auth/oauth/:provider/callback
+ * @desc Finish signing in with the code and state the provider sent back,
+ *       and the clientKey from the start. Logs in, signing up on first use,
+ *       or links the account when started with `link=true`, which needs
+ *       the same user logged in. Pass `restore` to cancel a scheduled
+ *       deletion.
+ * @access Public
+ */
+router.post(
+    '/oauth/:provider/callback',
+    [
+        rateLimit('auth'),
+        optionalAuth,
+        check('code', 'Code is required.').not().isEmpty(),
+        check('state', 'State is required.').not().isEmpty(),
+        check('clientKey', 'Client key is required.').isString(),
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const { provider } = req.params;
+
+        const { identity, linkTo } = await oauth.finishAuthorization(
+            provider,
+            req.body
+        );
+
+        if (linkTo) {
+            // Only whoever started linking can finish it, so nobody can
+            // get their account linked to someone else's
+            if (!req.user || req.user.id !== linkTo) {
+                throw new ForbiddenError(
+                    'Log in as the user who started linking.',
+                    { code: 'link_mismatch' }
+                );
+            }
+
+            const user = await User.findById(linkTo);
 
             if (!user) {
-                return res.status(500).json({
-                    errors: { msg: 'Invalid credentials.' },
-                });
+                throw new NotFoundError('User not found.');
             }
 
-            // Return JSON Webtoken
-            const payload = {
-                user: {
-                    id: user.id,
-                },
-            };
+            await oauth.linkIdentity(user, provider, identity);
+
+            return res.json({
+                msg: 'Account linked.',
+                identities: user.identities,
+            });
+        }
 
-            const isMatch = await bcrypt.compare(password, user.password);
+        const { user, created } = await oauth.signIn(provider, identity);
 
-            if (!isMatch) {
-                return res.status(500).json({
-                    errors: { msg: 'Invalid credentials.' },
-                });
-            }
+        checkActive(user);
 
-            jwt.sign(
-                payload,
-                config.get('jwtSecret'),
-                { expiresIn: 360000 },
-                (err, token) => {
-                    if (err) {
-                        throw err;
-                    }
-                    res.json({ token });
-                }
+        const restore = Boolean(user.deletion && user.deletion.purgeAt);
+
+        if (restore && ![true, 'true'].includes(req.body.restore)) {
+            throw new ForbiddenError(
+                `Account is scheduled for deletion on ${user.deletion.purgeAt.toISOString()}. Sign in again with restore set to keep it.`,
+                { code: 'account_pending_deletion' }
             );
-        } catch (err) {
-            console.log(`Error validating user: ${err.message}`);
-            res.status(500).send('Server error.');
         }
-    }
+
+        if (created && !user.emailVerified) {
+            const verifyToken = await createToken(user.id, 'verify-email');
+            await sendVerificationEmail(user, verifyToken);
+        }
+
+        const session = await startSession(user, req, { restore });
+
+        res.json(created ? { ...session, created } : session);
+    })
+);
+
+/**
+ * @route DELETE api/auth/oauth/:provider
+ * @desc Unlink an OAuth account. The user must keep a password or another
+ *       linked account to log in with.
+ * @access Private
+ */
+router.delete(
+    '/oauth/:provider',
+    auth,
+    asyncHandler(async (req, res) => {
+        const user = await User.findById(req.user.id);
+
+        await oauth.unlinkIdentity(user, req.params.provider);
+
+        res.json({ msg: 'Account unlinked.', identities: user.identities });
+    })
 );
 
 module.exports = router;
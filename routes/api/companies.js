@@ -0,0 +1,240 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const auth = require('../../middleware/auth');
+const verified = require('../../middleware/verified');
+const validate = require('../../middleware/validate');
+const validId = require('../../middleware/validId');
+const asyncHandler = require('../../utils/asyncHandler');
+const {
+    BadRequestError,
+    ConflictError,
+    ForbiddenError,
+    NotFoundError,
+    ValidationError,
+} = require('../../utils/errors');
+const { isRecruiter } = require('../../utils/jobs');
+const { paginate, MAX_LIMIT } = require('../../utils/paginate');
+
+const User = require('../../models/User');
+const Company = require('../../models/Company');
+const Job = require('../../models/Job');
+
+const companyFields = ['name', 'website', 'location', 'description'];
+
+const slugify = (name) =>
+    name
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+
+const findCompany = async (slug) => {
+    const company = await Company.findOne({ slug });
+
+    if (!company) {
+        throw new NotFoundError('Company not found.');
+    }
+
+    return company;
+};
+
+router.param('user_id', validId('User not found.'));
+
+/**
+ * @route POST api/companies
+ * @desc Create a company page, owned by the user creating it
+ * @access Private
+ */
+router.post(
+    '/',
+    [
+        auth,
+        verified(0),
+        [
+            check('name', 'Name is required.').trim().not().isEmpty(),
+            check('website', 'Website must be a URL.').optional().isURL(),
+        ],
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const slug = slugify(req.body.name);
+
+        if (!slug) {
+            throw new ValidationError({
+                name: 'Name needs at least one letter or digit.',
+            });
+        }
+
+        const company = new Company({
+            slug,
+            owner: req.user.id,
+            members: [req.user.id],
+        });
+
+        companyFields.forEach((field) => {
+            if (req.body[field]) company[field] = req.body[field];
+        });
+
+        try {
+            await company.save();
+        } catch (err) {
+            if (err.code === 11000) {
+                throw new ConflictError(
+                    'A company with that name already exists.'
+                );
+            }
+
+            throw err;
+        }
+
+        res.json(company);
+    })
+);
+
+/**
+ * @route GET api/companies/:slug
+ * @desc Get a company page with its number of open jobs
+ * @access Public
+ */
+router.get(
+    '/:slug',
+    asyncHandler(async (req, res) => {
+        const company = await Company.findOne({
+            slug: req.params.slug,
+        }).populate('members', ['name', 'avatar']);
+
+        if (!company) {
+            throw new NotFoundError('Company not found.');
+        }
+
+        const openJobs = await Job.countDocuments({
+            company: company.id,
+            status: 'open',
+        });
+
+        res.json({ ...company.toObject(), openJobs });
+    })
+);
+
+/**
+ * @route PATCH api/companies/:slug
+ * @desc Update a company page
+ * @access Private
+ */
+router.patch(
+    '/:slug',
+    [
+        auth,
+        [
+            check('name', 'Name is required.')
+                .optional()
+                .trim()
+                .not()
+                .isEmpty(),
+            check('website', 'Website must be a URL.').optional().isURL(),
+        ],
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const company = await findCompany(req.params.slug);
+
+        if (!isRecruiter(company, req.user.id)) {
+            throw new ForbiddenError('Not authorized.');
+        }
+
+        // The slug stays put so links to the page keep working
+        companyFields.forEach((field) => {
+            if (req.body[field] !== undefined) {
+                company[field] = req.body[field];
+            }
+        });
+
+        await company.save();
+
+        res.json(company);
+    })
+);
+
+/**
+ * @route PUT api/companies/:slug/members/:user_id
+ * @desc Add a recruiter to a company
+ * @access Private
+ */
+router.put(
+    '/:slug/members/:user_id',
+    auth,
+    asyncHandler(async (req, res) => {
+        const company = await findCompany(req.params.slug);
+
+        if (company.owner.toString() !== req.user.id) {
+            throw new ForbiddenError('Not authorized.');
+        }
+
+        if (!(await User.exists({ _id: req.params.user_id }))) {
+            throw new NotFoundError('User not found.');
+        }
+
+        await Company.updateOne(
+            { _id: company.id },
+            { $addToSet: { members: req.params.user_id } }
+        );
+
+        res.json({ msg: 'Member added.' });
+    })
+);
+
+/**
+ * @route DELETE api/companies/:slug/members/:user_id
+ * @desc Remove a recruiter from a company, or leave it
+ * @access Private
+ */
+router.delete(
+    '/:slug/members/:user_id',
+    auth,
+    asyncHandler(async (req, res) => {
+        const { user_id } = req.params;
+        const company = await findCompany(req.params.slug);
+
+        if (
+            company.owner.toString() !== req.user.id &&
+            user_id !== req.user.id
+        ) {
+            throw new ForbiddenError('Not authorized.');
+        }
+
+        if (company.owner.toString() === user_id) {
+            throw new BadRequestError("The owner can't leave the company.");
+        }
+
+        await Company.updateOne(
+            { _id: company.id },
+            { $pull: { members: user_id } }
+        );
+
+        res.json({ msg: 'Member removed.' });
+    })
+);
+
+/**
+ * @route GET api/companies/:slug/jobs
+ * @desc Get a page of a company's open jobs, newest first
+ * @query limit, cursor
+ * @access Public
+ */
+router.get(
+    '/:slug/jobs',
+    [check('limit').optional().isInt({ min: 1, max: MAX_LIMIT }), validate],
+    asyncHandler(async (req, res) => {
+        const company = await findCompany(req.params.slug);
+
+        const page = await paginate(Job, {
+            filter: { company: company.id, status: 'open' },
+            limit: req.query.limit,
+            cursor: req.query.cursor,
+        });
+
+        res.json(page);
+    })
+);
+
+module.exports = router;
@@ -0,0 +1,96 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const auth = require('../../middleware/auth');
+const validate = require('../../middleware/validate');
+const asyncHandler = require('../../utils/asyncHandler');
+const { ValidationError } = require('../../utils/errors');
+const { MAX_LIMIT } = require('../../utils/paginate');
+const { normalizeTags, pageFeed } = require('../../utils/feed');
+const { hiddenUsers } = require('../../utils/accounts');
+
+const Follow = require('../../models/Follow');
+
+/**
+ * @route GET api/feed
+ * @desc Get a page of the user's feed: posts by followed developers and
+ *       followed tags, ranked by recency and engagement
+ * @query limit, cursor
+ * @access Private
+ */
+router.get(
+    '/',
+    [
+        auth,
+        [check('limit').optional().isInt({ min: 1, max: MAX_LIMIT })],
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const page = await pageFeed(req.user.id, {
+            ...req.query,
+            blocked: await hiddenUsers(req.user),
+        });
+        res.json(page);
+    })
+);
+
+/**
+ * @route GET api/feed/tags
+ * @desc Get the tags the user follows
+ * @access Private
+ */
+router.get(
+    '/tags',
+    auth,
+    asyncHandler(async (req, res) => {
+        const follows = await Follow.find({
+            follower: req.user.id,
+            tag: { $exists: true },
+        }).sort({ tag: 1 });
+
+        res.json(follows.map((follow) => follow.tag));
+    })
+);
+
+/**
+ * @route PUT api/feed/tags/:tag
+ * @desc Follow a skill tag
+ * @access Private
+ */
+router.put(
+    '/tags/:tag',
+    auth,
+    asyncHandler(async (req, res) => {
+        const [tag] = normalizeTags(req.params.tag);
+
+        if (!tag) {
+            throw new ValidationError({ tag: 'Tag is required.' });
+        }
+
+        await Follow.updateOne(
+            { follower: req.user.id, tag },
+            { $setOnInsert: { date: Date.now() } },
+            { upsert: true }
+        );
+
+        res.json({ msg: `Following #${tag}.` });
+    })
+);
+
+/**
+ * @route DELETE api/feed/tags/:tag
+ * @desc Unfollow a skill tag
+ * @access Private
+ */
+router.delete(
+    '/tags/:tag',
+    auth,
+    asyncHandler(async (req, res) => {
+        const [tag] = normalizeTags(req.params.tag);
+
+        await Follow.deleteOne({ follower: req.user.id, tag });
+        res.json({ msg: `Unfollowed #${tag}.` });
+    })
+);
+
+module.exports = router;
@@ -0,0 +1,528 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const auth = require('../../middleware/auth');
+const { hasRole } = require('../../middleware/roles');
+const validate = require('../../middleware/validate');
+const validId = require('../../middleware/validId');
+const asyncHandler = require('../../utils/asyncHandler');
+const {
+    BadRequestError,
+    ConflictError,
+    ForbiddenError,
+    NotFoundError,
+} = require('../../utils/errors');
+const { isRecruiter, matchJobs, matchProfiles } = require('../../utils/jobs');
+const { findSkill, normalizeSkills } = require('../../utils/skills');
+const { renderMarkdown } = require('../../utils/markdown');
+const { emitToUser } = require('../../utils/realtime');
+const { paginate, MAX_LIMIT } = require('../../utils/paginate');
+
+const Company = require('../../models/Company');
+const Job = require('../../models/Job');
+const Application = require('../../models/Application');
+const Profile = require('../../models/Profile');
+
+const APPLICATION_STATUSES = Application.schema.path('status').enumValues;
+
+const jobValidators = (required) => {
+    const present = (field, msg) =>
+        required
+            ? check(field, msg).trim().not().isEmpty()
+            : check(field, msg).optional().trim().not().isEmpty();
+
+    return [
+        present('title', 'Title is required.'),
+        present('description', 'Description is required.'),
+        check('remote').optional().isBoolean(),
+        check('salary.min', 'Salary must be a positive number.')
+            .optional()
+            .isInt({ min: 0 }),
+        check('salary.max', 'Salary must be a positive number.')
+            .optional()
+            .isInt({ min: 0 })
+            .custom(
+                (max, { req }) =>
+                    req.body.salary.min === undefined ||
+                    parseInt(max, 10) >= parseInt(req.body.salary.min, 10)
+            )
+            .withMessage('Maximum salary must be at least the minimum.'),
+        check('salary.currency', 'Currency must be a 3 letter code.')
+            .optional()
+            .isAlpha()
+            .isLength({ min: 3, max: 3 }),
+    ];
+};
+
+/**
+ * Copy the editable job fields present in `body` onto `job`
+ */
+const applyJobFields = async (job, body) => {
+    if (body.title !== undefined) job.title = body.title;
+    if (body.location !== undefined) job.location = body.location;
+    if (body.remote !== undefined) job.remote = String(body.remote) === 'true';
+
+    if (body.description !== undefined) {
+        job.description = body.description;
+        job.html = (await renderMarkdown(body.description)).html;
+    }
+
+    if (body.skills !== undefined) {
+        job.skills = await normalizeSkills(body.skills);
+    }
+
+    if (body.salary) {
+        const { min, max, currency } = body.salary;
+
+        if (min !== undefined) job.salary.min = min;
+        if (max !== undefined) job.salary.max = max;
+        if (currency) job.salary.currency = currency.toUpperCase();
+    }
+};
+
+/**
+ * Load a job with its company and check the user recruits for it
+ */
+const findManagedJob = async (req) => {
+    const job = await Job.findById(req.params.job_id).populate('company');
+
+    if (!job) {
+        throw new NotFoundError('Job not found.');
+    }
+
+    if (!isRecruiter(job.company, req.user.id)) {
+        throw new ForbiddenError('Not authorized.');
+    }
+
+    return job;
+};
+
+router.param('job_id', validId('Job not found.'));
+router.param('application_id', validId('Application not found.'));
+
+/**
+ * @route POST api/jobs
+ * @desc Post a job for a company the user recruits for
+ * @access Private
+ */
+router.post(
+    '/',
+    [
+        auth,
+        [
+            check('company', 'Company is required.').isString().not().isEmpty(),
+            ...jobValidators(true),
+        ],
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const company = await Company.findOne({ slug: req.body.company });
+
+        if (!company) {
+            throw new NotFoundError('Company not found.');
+        }
+
+        if (!isRecruiter(company, req.user.id)) {
+            throw new ForbiddenError('Not authorized.');
+        }
+
+        const job = new Job({ company: company.id, postedBy: req.user.id });
+
+        await applyJobFields(job, req.body);
+        await job.save();
+
+        res.json(job);
+    })
+);
+
+/**
+ * @route GET api/jobs
+ * @desc Get a page of open jobs, newest first
+ * @query limit, cursor, skill, remote, location, company, minSalary
+ * @access Public
+ */
+router.get(
+    '/',
+    [
+        check('limit').optional().isInt({ min: 1, max: MAX_LIMIT }),
+        check('remote').optional().isBoolean(),
+        check('minSalary').optional().isInt({ min: 0 }),
+        // Anything but a string could smuggle query operators into filters
+        check('location').optional().isString(),
+        check('skill').optional().isString(),
+        check('company').optional().isString(),
+        check('cursor').optional().isString(),
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const {
+            limit,
+            cursor,
+            skill,
+            remote,
+            location,
+            company,
+            minSalary,
+        } = req.query;
+
+        const filter = { status: 'open' };
+
+        if (remote) filter.remote = remote === 'true';
+        if (minSalary) filter['salary.max'] = { $gte: parseInt(minSalary, 10) };
+        if (location) {
+            const escaped = location.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            filter.location = new RegExp(escaped, 'i');
+        }
+
+        if (skill) {
+            const known = await findSkill(skill);
+            filter.skills = known ? known.name : skill;
+        }
+
+        if (company) {
+            const found = await Company.findOne({ slug: company });
+            filter.company = found ? found.id : null;
+        }
+
+        const page = await paginate(Job, {
+            filter,
+            limit,
+            cursor,
+            populate: ['company', ['name', 'slug']],
+        });
+
+        res.json(page);
+    })
+);
+
+/**
+ * @route GET api/jobs/matches
+ * @desc Get open jobs sharing skills with the user's profile, best match
+ *       first, each with its matchedSkills
+ * @query limit, skip
+ * @access Private
+ */
+router.get(
+    '/matches',
+    [
+        auth,
+        [
+            check('limit').optional().isInt({ min: 1, max: 50 }),
+            check('skip').optional().isInt({ min: 0 }),
+        ],
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const { limit = 20, skip = 0 } = req.query;
+
+        const profile = await Profile.findOne({ user: req.user.id });
+
+        if (!profile) {
+            throw new NotFoundError('No profile found.', {
+                code: 'profile_missing',
+            });
+        }
+
+        const jobs = await matchJobs(profile.skills, {
+            limit: parseInt(limit, 10),
+            skip: parseInt(skip, 10),
+        });
+
+        res.json(jobs);
+    })
+);
+
+/**
+ * @route GET api/jobs/applications
+ * @desc Get a page of the user's applications with their status
+ * @query limit, cursor
+ * @access Private
+ */
+router.get(
+    '/applications',
+    [
+        auth,
+        [check('limit').optional().isInt({ min: 1, max: MAX_LIMIT })],
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const page = await paginate(Application, {
+            filter: { user: req.user.id },
+            limit: req.query.limit,
+            cursor: req.query.cursor,
+            populate: [
+                {
+                    path: 'job',
+                    select: 'title company status',
+                    populate: { path: 'company', select: 'name slug' },
+                },
+            ],
+        });
+
+        res.json(page);
+    })
+);
+
+/**
+ * @route PUT api/jobs/applications/:application_id/status
+ * @desc Move an application along. Recruiters can set any status but
+ *       withdrawn, applicants can only withdraw.
+ * @access Private
+ */
+router.put(
+    '/applications/:application_id/status',
+    [
+        auth,
+        [check('status', 'Status is not valid.').isIn(APPLICATION_STATUSES)],
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const { status } = req.body;
+
+        const application = await Application.findById(
+            req.params.application_id
+        ).populate({ path: 'job', populate: { path: 'company' } });
+
+        if (!application) {
+            throw new NotFoundError('Application not found.');
+        }
+
+        const isApplicant = application.user.toString() === req.user.id;
+        const recruiter = isRecruiter(application.job.company, req.user.id);
+
+        if (
+            (status === 'withdrawn' && !isApplicant) ||
+            (status !== 'withdrawn' && !recruiter)
+        ) {
+            throw new ForbiddenError('Not authorized.');
+        }
+
+        if (application.status === 'withdrawn') {
+            throw new BadRequestError('The application was withdrawn.', {
+                code: 'application_withdrawn',
+            });
+        }
+
+        application.status = status;
+        application.history.push({ status });
+        await application.save();
+
+        const update = {
+            application: application.id,
+            job: application.job.id,
+            status,
+        };
+
+        if (recruiter && !isApplicant) {
+            emitToUser(application.user, 'application', update);
+        } else {
+            application.job.company.members.forEach((member) =>
+                emitToUser(member, 'application', update)
+            );
+        }
+
+        res.json({ status, history: application.history });
+    })
+);
+
+/**
+ * @route GET api/jobs/:job_id
+ * @desc Get a job
+ * @access Public
+ */
+router.get(
+    '/:job_id',
+    asyncHandler(async (req, res) => {
+        const job = await Job.findById(req.params.job_id).populate('company', [
+            'name',
+            'slug',
+            'website',
+            'location',
+        ]);
+
+        if (!job) {
+            throw new NotFoundError('Job not found.');
+        }
+
+        res.json(job);
+    })
+);
+
+/**
+ * @route PATCH api/jobs/:job_id
+ * @desc Update a job, or close it by setting status to closed
+ * @access Private
+ */
+router.patch(
+    '/:job_id',
+    [
+        auth,
+        [
+            ...jobValidators(false),
+            check('status').optional().isIn(['open', 'closed']),
+        ],
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const job = await findManagedJob(req);
+
+        await applyJobFields(job, req.body);
+
+        if (req.body.status) job.status = req.body.status;
+
+        await job.save();
+
+        res.json(job);
+    })
+);
+
+/**
+ * @route DELETE api/jobs/:job_id
+ * @desc Delete a job and its applications
+ * @access Private
+ */
+router.delete(
+    '/:job_id',
+    auth,
+    asyncHandler(async (req, res) => {
+        const job = await Job.findById(req.params.job_id).populate('company');
+
+        if (!job) {
+            throw new NotFoundError('Job not found.');
+        }
+
+        if (
+            !isRecruiter(job.company, req.user.id) &&
+            !hasRole(req.user, 'moderator')
+        ) {
+            throw new ForbiddenError('Not authorized.');
+        }
+
+        await job.remove();
+        await Application.deleteMany({ job: job.id });
+
+        res.json({ msg: 'Job removed.' });
+    })
+);
+
+/**
+ * @route POST api/jobs/:job_id/apply
+ * @desc Apply for a job with the user's profile
+ * @access Private
+ */
+router.post(
+    '/:job_id/apply',
+    [auth, [check('coverLetter').optional().isLength({ max: 5000 })], validate],
+    asyncHandler(async (req, res) => {
+        const job = await Job.findById(req.params.job_id).populate('company');
+
+        if (!job || job.status !== 'open') {
+            throw new NotFoundError('Job not found.');
+        }
+
+        const profile = await Profile.findOne({ user: req.user.id });
+
+        if (!profile) {
+            throw new BadRequestError('Create a profile before applying.', {
+                code: 'profile_missing',
+            });
+        }
+
+        const application = new Application({
+            job: job.id,
+            user: req.user.id,
+            profile: profile.id,
+            coverLetter: req.body.coverLetter,
+            history: [{ status: 'submitted' }],
+        });
+
+        try {
+            await application.save();
+        } catch (err) {
+            if (err.code === 11000) {
+                throw new ConflictError('You already applied for this job.', {
+                    code: 'already_applied',
+                });
+            }
+
+            throw err;
+        }
+
+        await Job.updateOne({ _id: job.id }, { $inc: { applicationCount: 1 } });
+
+        job.company.members.forEach((member) =>
+            emitToUser(member, 'application', {
+                application: application.id,
+                job: job.id,
+                status: application.status,
+            })
+        );
+
+        res.json(application);
+    })
+);
+
+/**
+ * @route GET api/jobs/:job_id/applications
+ * @desc Get a page of a job's applications with the applicants' profiles
+ * @query limit, cursor
+ * @access Private
+ */
+router.get(
+    '/:job_id/applications',
+    [
+        auth,
+        [check('limit').optional().isInt({ min: 1, max: MAX_LIMIT })],
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const job = await findManagedJob(req);
+
+        const page = await paginate(Application, {
+            filter: { job: job.id },
+            limit: req.query.limit,
+            cursor: req.query.cursor,
+            populate: [
+                {
+                    path: 'profile',
+                    populate: { path: 'user', select: 'name avatar' },
+                },
+            ],
+        });
+
+        res.json(page);
+    })
+);
+
+/**
+ * @route GET api/jobs/:job_id/candidates
+ * @desc Get profiles sharing skills with a job, best match first, each with
+ *       its matchedSkills
+ * @query limit, skip
+ * @access Private
+ */
+router.get(
+    '/:job_id/candidates',
+    [
+        auth,
+        [
+            check('limit').optional().isInt({ min: 1, max: 50 }),
+            check('skip').optional().isInt({ min: 0 }),
+        ],
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const { limit = 20, skip = 0 } = req.query;
+
+        const job = await findManagedJob(req);
+
+        const profiles = await matchProfiles(job.skills, {
+            limit: parseInt(limit, 10),
+            skip: parseInt(skip, 10),
+        });
+
+        res.json(profiles);
+    })
+);
+
+module.exports = router;
@@ -0,0 +1,363 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const config = require('config');
+const auth = require('../../middleware/auth');
+const rateLimit = require('../../middleware/rateLimit');
+const validate = require('../../middleware/validate');
+const validId = require('../../middleware/validId');
+const asyncHandler = require('../../utils/asyncHandler');
+const {
+    BadRequestError,
+    ForbiddenError,
+    NotFoundError,
+} = require('../../utils/errors');
+const { paginate, MAX_LIMIT } = require('../../utils/paginate');
+const { emitToUser, onMessage } = require('../../utils/realtime');
+
+const User = require('../../models/User');
+const Conversation = require('../../models/Conversation');
+const Message = require('../../models/Message');
+
+const maxGroupSize = config.has('maxGroupSize')
+    ? config.get('maxGroupSize')
+    : 10;
+
+const memberIds = (conversation) =>
+    conversation.members.map((member) => member.user.toString());
+
+/**
+ * Push a realtime event to every member except `exceptId`
+ */
+const emitToMembers = (conversation, type, data, exceptId) => {
+    memberIds(conversation)
+        .filter((id) => id !== exceptId)
+        .forEach((id) => emitToUser(id, type, data));
+};
+
+/**
+ * Load a conversation the user belongs to, or null
+ */
+const findConversation = (conversationId, userId) =>
+    Conversation.findOne({ _id: conversationId, 'members.user': userId });
+
+/**
+ * Like findConversation, but a conversation the user isn't in is a 404
+ */
+const getConversation = async (conversationId, userId) => {
+    const conversation = await findConversation(conversationId, userId);
+
+    if (!conversation) {
+        throw new NotFoundError('Conversation not found.');
+    }
+
+    return conversation;
+};
+
+/**
+ * Messages from others since the user last read the conversation. Works on
+ * conversations with or without their members populated.
+ */
+const unreadCount = (conversation, userId) => {
+    const member = conversation.members.find(
+        (m) => (m.user._id || m.user).toString() === userId
+    );
+
+    return Message.countDocuments({
+        conversation: conversation._id,
+        user: { $ne: userId },
+        date: { $gt: member.lastReadAt },
+    });
+};
+
+router.param('conversation_id', validId('Conversation not found.'));
+
+// Typing indicators only go over the socket, they aren't worth storing
+onMessage('typing', async (user, { conversation: conversationId }) => {
+    const conversation = await findConversation(conversationId, user.id);
+
+    if (conversation) {
+        emitToMembers(
+            conversation,
+            'typing',
+            { conversation: conversation.id, user: user.id },
+            user.id
+        );
+    }
+});
+
+/**
+ * @route GET api/messages
+ * @desc Get a page of the user's conversations, most recent first
+ * @query limit, cursor
+ * @access Private
+ */
+router.get(
+    '/',
+    [
+        auth,
+        [check('limit').optional().isInt({ min: 1, max: MAX_LIMIT })],
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const page = await paginate(Conversation, {
+            filter: { 'members.user': req.user.id },
+            limit: req.query.limit,
+            cursor: req.query.cursor,
+            populate: ['members.user', ['name', 'avatar']],
+        });
+
+        const items = await Promise.all(
+            page.items.map(async (conversation) => ({
+                ...conversation.toObject(),
+                unreadCount: await unreadCount(conversation, req.user.id),
+            }))
+        );
+
+        res.json({ items, nextCursor: page.nextCursor });
+    })
+);
+
+/**
+ * @route GET api/messages/unread
+ * @desc Get the user's total number of unread messages
+ * @access Private
+ */
+router.get(
+    '/unread',
+    auth,
+    asyncHandler(async (req, res) => {
+        const conversations = await Conversation.find({
+            'members.user': req.user.id,
+        });
+        const counts = await Promise.all(
+            conversations.map((conversation) =>
+                unreadCount(conversation, req.user.id)
+            )
+        );
+
+        res.json({ unreadCount: counts.reduce((sum, n) => sum + n, 0) });
+    })
+);
+
+/**
+ * @route POST api/messages
+ * @desc Start a conversation with one or more users. Starting a 1:1
+ *       conversation that already exists returns the existing one.
+ * @access Private
+ */
+router.post(
+    '/',
+    [
+        auth,
+        rateLimit('write'),
+        [
+            check('participants', 'Participants are required.').isArray({
+                min: 1,
+                max: maxGroupSize - 1,
+            }),
+            check(
+                'participants.*',
+                'Participants must be user ids.'
+            ).isMongoId(),
+        ],
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const others = [...new Set(req.body.participants)].filter(
+            (id) => id !== req.user.id
+        );
+
+        if (!others.length) {
+            throw new BadRequestError(
+                "You can't start a conversation with yourself."
+            );
+        }
+
+        const users = await User.find({ _id: { $in: others } }).select(
+            'blocked'
+        );
+
+        if (users.length !== others.length) {
+            throw new NotFoundError('User not found.');
+        }
+
+        // Blocks work both ways for messaging
+        const blocked = users.some(
+            (user) =>
+                req.user.blocked.includes(user.id) ||
+                user.blocked.some((id) => id.toString() === req.user.id)
+        );
+
+        if (blocked) {
+            throw new ForbiddenError("You can't message that user.", {
+                code: 'blocked',
+            });
+        }
+
+        const ids = [req.user.id, ...others];
+        const isGroup = ids.length > 2;
+        const key = isGroup ? undefined : ids.slice().sort().join(':');
+
+        if (!isGroup) {
+            const existing = await Conversation.findOne({
+                key,
+                isGroup: false,
+            });
+
+            if (existing) {
+                return res.json(existing);
+            }
+        }
+
+        const conversation = new Conversation({
+            members: ids.map((user) => ({ user })),
+            isGroup,
+            key,
+            name: isGroup ? req.body.name : undefined,
+        });
+
+        try {
+            await conversation.save();
+        } catch (err) {
+            // Lost a race with another request creating the same 1:1
+            if (err.code === 11000 && !isGroup) {
+                return res.json(
+                    await Conversation.findOne({ key, isGroup: false })
+                );
+            }
+
+            throw err;
+        }
+
+        emitToMembers(conversation, 'conversation', conversation, req.user.id);
+
+        res.json(conversation);
+    })
+);
+
+/**
+ * @route GET api/messages/:conversation_id
+ * @desc Get a page of messages in a conversation, newest first
+ * @query limit, cursor
+ * @access Private
+ */
+router.get(
+    '/:conversation_id',
+    [
+        auth,
+        [check('limit').optional().isInt({ min: 1, max: MAX_LIMIT })],
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const conversation = await getConversation(
+            req.params.conversation_id,
+            req.user.id
+        );
+
+        const page = await paginate(Message, {
+            filter: { conversation: conversation.id },
+            limit: req.query.limit,
+            cursor: req.query.cursor,
+        });
+
+        // Members' read positions let clients draw read receipts
+        res.json({ ...page, members: conversation.members });
+    })
+);
+
+/**
+ * @route POST api/messages/:conversation_id
+ * @desc Send a message
+ * @access Private
+ */
+router.post(
+    '/:conversation_id',
+    [
+        auth,
+        rateLimit('write'),
+        [check('text', 'Text is required').not().isEmpty()],
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const conversation = await getConversation(
+            req.params.conversation_id,
+            req.user.id
+        );
+
+        const others = memberIds(conversation).filter(
+            (id) => id !== req.user.id
+        );
+
+        // A 1:1 conversation goes quiet once either side blocks
+        if (!conversation.isGroup) {
+            const blockedBy = await User.exists({
+                _id: others[0],
+                blocked: req.user.id,
+            });
+
+            if (blockedBy || req.user.blocked.includes(others[0])) {
+                throw new ForbiddenError("You can't message that user.", {
+                    code: 'blocked',
+                });
+            }
+        }
+
+        const message = new Message({
+            conversation: conversation.id,
+            user: req.user.id,
+            text: req.body.text,
+        });
+
+        await message.save();
+
+        // Sending a message means everything before it has been read
+        await Conversation.updateOne(
+            { _id: conversation.id, 'members.user': req.user.id },
+            {
+                $set: {
+                    lastMessage: { user: req.user.id, text: message.text },
+                    date: message.date,
+                    'members.$.lastReadAt': message.date,
+                },
+            }
+        );
+
+        emitToMembers(conversation, 'message', message, req.user.id);
+
+        res.json(message);
+    })
+);
+
+/**
+ * @route PUT api/messages/:conversation_id/read
+ * @desc Mark a conversation as read and send a read receipt
+ * @access Private
+ */
+router.put(
+    '/:conversation_id/read',
+    auth,
+    asyncHandler(async (req, res) => {
+        const readAt = new Date();
+        const conversation = await Conversation.findOneAndUpdate(
+            { _id: req.params.conversation_id, 'members.user': req.user.id },
+            { $set: { 'members.$.lastReadAt': readAt } },
+            { new: true }
+        );
+
+        if (!conversation) {
+            throw new NotFoundError('Conversation not found.');
+        }
+
+        emitToMembers(
+            conversation,
+            'read',
+            { conversation: conversation.id, user: req.user.id, readAt },
+            req.user.id
+        );
+
+        res.json({ readAt });
+    })
+);
+
+module.exports = router;
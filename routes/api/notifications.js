@@ -0,0 +1,130 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const auth = require('../../middleware/auth');
+const validate = require('../../middleware/validate');
+const asyncHandler = require('../../utils/asyncHandler');
+const { paginate, MAX_LIMIT } = require('../../utils/paginate');
+const { TYPES, toJSON } = require('../../utils/notify');
+
+const User = require('../../models/User');
+const Notification = require('../../models/Notification');
+
+/**
+ * @route GET api/notifications
+ * @desc Get a page of the user's notifications, newest first
+ * @query limit, cursor, unread
+ * @access Private
+ */
+router.get(
+    '/',
+    [
+        auth,
+        [
+            check('limit').optional().isInt({ min: 1, max: MAX_LIMIT }),
+            check('unread').optional().isBoolean(),
+        ],
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const { limit, cursor, unread } = req.query;
+        const filter = { user: req.user.id };
+
+        if (unread === 'true') filter.read = false;
+
+        const page = await paginate(Notification, {
+            filter,
+            limit,
+            cursor,
+        });
+        const unreadCount = await Notification.countDocuments({
+            user: req.user.id,
+            read: false,
+        });
+
+        res.json({
+            items: page.items.map(toJSON),
+            nextCursor: page.nextCursor,
+            unreadCount,
+        });
+    })
+);
+
+/**
+ * @route PUT api/notifications/read
+ * @desc Mark notifications as read, all of them unless ids are given
+ * @access Private
+ */
+router.put(
+    '/read',
+    [
+        auth,
+        [check('ids.*', 'Ids must be notification ids.').isMongoId()],
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const filter = { user: req.user.id, read: false };
+
+        if (Array.isArray(req.body.ids)) {
+            filter._id = { $in: req.body.ids };
+        }
+
+        await Notification.updateMany(filter, { $set: { read: true } });
+        res.json({ msg: 'Notifications marked as read.' });
+    })
+);
+
+/**
+ * Preferences as `{ <type>: enabled }`
+ */
+const preferences = (user) => {
+    const prefs = {};
+
+    TYPES.forEach((type) => {
+        prefs[type] = !user.mutedNotifications.includes(type);
+    });
+
+    return prefs;
+};
+
+/**
+ * @route GET api/notifications/preferences
+ * @desc Get which notification types the user receives
+ * @access Private
+ */
+router.get(
+    '/preferences',
+    auth,
+    asyncHandler(async (req, res) => {
+        const user = await User.findById(req.user.id).select(
+            'mutedNotifications'
+        );
+
+        res.json(preferences(user));
+    })
+);
+
+/**
+ * @route PUT api/notifications/preferences
+ * @desc Switch notification types on or off, e.g. `{ "reaction": false }`
+ * @access Private
+ */
+router.put(
+    '/preferences',
+    [auth, TYPES.map((type) => check(type).optional().isBoolean()), validate],
+    asyncHandler(async (req, res) => {
+        const user = await User.findById(req.user.id).select(
+            'mutedNotifications'
+        );
+        const prefs = { ...preferences(user), ...req.body };
+
+        user.mutedNotifications = TYPES.filter(
+            (type) => prefs[type] === false || prefs[type] === 'false'
+        );
+        await user.save();
+
+        res.json(preferences(user));
+    })
+);
+
+module.exports = router;
@@ -1,62 +1,193 @@
 const express = require('express');
 const router = express.Router();
-const { check, validationResult } = require('express-validator');
+const { check } = require('express-validator');
+const config = require('config');
+const mongoose = require('mongoose');
+const { diffWords } = require('diff');
 const auth = require('../../middleware/auth');
+const rateLimit = require('../../middleware/rateLimit');
+const verified = require('../../middleware/verified');
+const upload = require('../../middleware/upload');
+const { canModify } = require('../../middleware/roles');
+const validate = require('../../middleware/validate');
+const validId = require('../../middleware/validId');
+const asyncHandler = require('../../utils/asyncHandler');
+const {
+    BadRequestError,
+    ConflictError,
+    ForbiddenError,
+    NotFoundError,
+} = require('../../utils/errors');
+const { paginate, dateRange, MAX_LIMIT } = require('../../utils/paginate');
 
 const User = require('../../models/User');
 // const Profile = require('../../models/Profile');
 const Post = require('../../models/Post');
+const Comment = require('../../models/Comment');
+const Flag = require('../../models/Flag');
+const Revision = require('../../models/Revision');
+const FeedItem = require('../../models/FeedItem');
+const { deleteComment } = require('../../utils/comments');
+const { TYPES, reactionUpdate } = require('../../utils/reactions');
+const { normalizeTags, fanOutPost } = require('../../utils/feed');
+const { extractReferences, renderMarkdown } = require('../../utils/markdown');
+const { notifyLater } = require('../../utils/notify');
+const { hiddenUsers, isHiddenFrom } = require('../../utils/accounts');
+const { storeImage, removeImagesLater } = require('../../utils/images');
+
+const maxCommentDepth = config.has('maxCommentDepth')
+    ? config.get('maxCommentDepth')
+    : 3;
+
+const maxPostImages = config.has('maxPostImages')
+    ? config.get('maxPostImages')
+    : 4;
+
+const findPost = async (postId) => {
+    const post = await Post.findById(postId);
+
+    if (!post) {
+        throw new NotFoundError('Post not found.');
+    }
+
+    return post;
+};
+
+/**
+ * A post the reader may see, hiding posts by accounts scheduled for
+ * deletion and posts across a block in either direction
+ */
+const findVisiblePost = async (req) => {
+    const post = await findPost(req.params.post_id);
+
+    if (await isHiddenFrom(req.user, post.user)) {
+        throw new NotFoundError('Post not found.');
+    }
+
+    return post;
+};
+
+router.param('post_id', validId('Post not found.'));
+router.param('comment_id', validId('Comment does not exist.'));
 
 /**
  * @route POST api/posts
- * @desc Create a post
+ * @desc Create a post. Send multipart/form-data to attach up to
+ *       `maxPostImages` images in the `images` field.
  * @access Private
  */
 router.post(
     '/',
-    [auth, [check('text', 'Text is required').not().isEmpty()]],
-    async (req, res) => {
-        const errors = validationResult(req);
-
-        if (!errors.isEmpty()) {
-            return res.status(400).json({ errors: errors.mapped() });
-        }
+    [
+        auth,
+        rateLimit('write'),
+        verified(),
+        upload('images', maxPostImages),
+        [check('text', 'Text is required').not().isEmpty()],
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const images = [];
+        let newPost;
 
         try {
             const user = await User.findById(req.user.id).select('-password');
 
-            const newPost = new Post({
+            const { html, tags } = await renderMarkdown(req.body.text);
+
+            for (const file of req.files) {
+                images.push(await storeImage(file.buffer, 'posts'));
+            }
+
+            newPost = new Post({
                 text: req.body.text,
+                html,
+                // #tags in the text count as tags too
+                tags: normalizeTags(normalizeTags(req.body.tags).concat(tags)),
+                images,
                 name: user.name,
                 avatar: user.avatar,
                 user: req.user.id,
             });
 
             await newPost.save();
-
-            res.json(newPost);
         } catch (err) {
-            console.error(err.message);
-            res.status(500).send('Server error.');
+            // Don't leave files behind for a post that doesn't exist
+            removeImagesLater(images);
+            throw err;
         }
-    }
+
+        res.json(newPost);
+
+        // Followers don't need to wait for this
+        fanOutPost(newPost).catch((err) => console.error(err.message));
+    })
 );
 
+// Sort options for GET api/posts and the field each one orders by
+const postSorts = {
+    newest: 'date',
+    liked: 'likeCount',
+    commented: 'commentCount',
+};
+
 /**
  * @route GET api/posts
- * @desc Get all posts
+ * @desc Get a page of posts
+ * @query limit, cursor, author, tag, from, to, hasComments, minLikes,
+ *        sort (newest|liked|commented)
  * @access Private
  */
-
-router.get('/', auth, async (req, res) => {
-    try {
-        const posts = await Post.find().sort({ date: -1 });
-        res.json(posts);
-    } catch (err) {
-        console.error(err.message);
-        res.status(500).send('Server error.');
-    }
-});
+router.get(
+    '/',
+    [
+        auth,
+        [
+            check('limit').optional().isInt({ min: 1, max: MAX_LIMIT }),
+            check('author').optional().isMongoId(),
+            check('tag').optional().trim().notEmpty(),
+            check('from').optional().isISO8601(),
+            check('to').optional().isISO8601(),
+            check('hasComments').optional().isBoolean(),
+            check('minLikes').optional().isInt({ min: 0 }),
+            check('sort').optional().isIn(Object.keys(postSorts)),
+        ],
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const {
+            limit,
+            cursor,
+            author,
+            tag,
+            from,
+            to,
+            hasComments,
+            minLikes,
+            sort = 'newest',
+        } = req.query;
+
+        // Hide posts across a block either way, and by accounts scheduled
+        // for deletion
+        const filter = { user: { $nin: await hiddenUsers(req.user) } };
+
+        if (author) filter.user.$eq = author;
+        if (tag) filter.tags = normalizeTags(tag)[0];
+        if (from || to) filter.date = dateRange(from, to);
+        if (hasComments === 'true') filter.commentCount = { $gt: 0 };
+        if (hasComments === 'false') filter.commentCount = 0;
+        if (minLikes) filter.likeCount = { $gte: parseInt(minLikes, 10) };
+
+        const page = await paginate(Post, {
+            filter,
+            sortField: postSorts[sort],
+            limit,
+            cursor,
+        });
+
+        res.json(page);
+    })
+);
 
 /**
  * @route GET api/posts/:post_id
@@ -64,25 +195,159 @@ router.get('/', auth, async (req, res) => {
  * @access Private
  */
 
-router.get('/:post_id', auth, async (req, res) => {
-    try {
-        const post = await Post.findById(req.params.post_id);
+router.get(
+    '/:post_id',
+    auth,
+    asyncHandler(async (req, res) => {
+        res.json(await findVisiblePost(req));
+    })
+);
 
-        if (!post) {
-            return res.status(404).json({ msg: 'Post not found.' });
+/**
+ * @route PATCH api/posts/:post_id
+ * @desc Edit a post, keeping the previous text as a revision
+ * @access Private
+ */
+router.patch(
+    '/:post_id',
+    [
+        auth,
+        rateLimit('write'),
+        [check('text', 'Text is required').not().isEmpty()],
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const post = await findPost(req.params.post_id);
+
+        // Only the author can edit, moderators can only remove
+        if (post.user.toString() !== req.user.id) {
+            throw new ForbiddenError('Not authorized.');
         }
 
-        res.json(post);
-    } catch (err) {
-        console.error(err.message);
+        // Swap the #tags from the old text for those in the new one,
+        // leaving tags given explicitly alone
+        const previous = extractReferences(post.text).tags;
+        const { html, tags } = await renderMarkdown(req.body.text);
+
+        // Only moves on from the revision read above, so concurrent edits
+        // can't both claim the next revision number. Posts from before
+        // revisions were kept have no revision stored, the default 1 is
+        // only on the loaded document.
+        const edited = await Post.findOneAndUpdate(
+            {
+                _id: post.id,
+                revision:
+                    post.revision === 1 ? { $in: [1, null] } : post.revision,
+            },
+            {
+                $set: {
+                    text: req.body.text,
+                    html,
+                    tags: normalizeTags(
+                        post.tags
+                            .filter((tag) => !previous.includes(tag))
+                            .concat(tags)
+                    ),
+                    edited: Date.now(),
+                    revision: post.revision + 1,
+                },
+            },
+            { new: true }
+        );
 
-        if (err.kind === 'ObjectId') {
-            return res.status(404).json({ msg: 'Post not found.' });
+        if (!edited) {
+            throw new ConflictError(
+                'The post was edited at the same time, reload and try again.',
+                { code: 'edit_conflict' }
+            );
         }
 
-        res.status(500).send('Server error.');
-    }
-});
+        await new Revision({
+            post: post.id,
+            number: post.revision,
+            text: post.text,
+            date: post.edited || post.date,
+        }).save();
+
+        res.json(edited);
+    })
+);
+
+/**
+ * Every version of a post, oldest first, including the live one
+ */
+const getRevisions = async (post) => {
+    const revisions = await Revision.find({ post: post.id })
+        .sort({ number: 1 })
+        .select('-post');
+
+    return revisions
+        .map(({ number, text, date }) => ({ number, text, date }))
+        .concat({
+            number: post.revision,
+            text: post.text,
+            date: post.edited || post.date,
+        });
+};
+
+/**
+ * @route GET api/posts/:post_id/revisions
+ * @desc Get every revision of a post, oldest first
+ * @access Private
+ */
+router.get(
+    '/:post_id/revisions',
+    auth,
+    asyncHandler(async (req, res) => {
+        const post = await findVisiblePost(req);
+
+        res.json(await getRevisions(post));
+    })
+);
+
+/**
+ * @route GET api/posts/:post_id/revisions/diff
+ * @desc Word diff between two revisions of a post
+ * @query from, to (revision numbers, default to the previous and latest)
+ * @access Private
+ */
+router.get(
+    '/:post_id/revisions/diff',
+    [
+        auth,
+        [
+            check('from').optional().isInt({ min: 1 }),
+            check('to').optional().isInt({ min: 1 }),
+        ],
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const post = await findVisiblePost(req);
+
+        const revisions = await getRevisions(post);
+        const to = parseInt(req.query.to, 10) || post.revision;
+        const from = parseInt(req.query.from, 10) || Math.max(to - 1, 1);
+
+        const older = revisions.find((revision) => revision.number === from);
+        const newer = revisions.find((revision) => revision.number === to);
+
+        if (!older || !newer) {
+            throw new NotFoundError('Revision not found.');
+        }
+
+        res.json({
+            from,
+            to,
+            changes: diffWords(older.text, newer.text).map(
+                ({ value, added = false, removed = false }) => ({
+                    value,
+                    added,
+                    removed,
+                })
+            ),
+        });
+    })
+);
 
 /**
  * @route DELETE api/posts/:post_id
@@ -90,133 +355,385 @@ router.get('/:post_id', auth, async (req, res) => {
  * @access Private
  */
 
-router.delete('/:post_id', auth, async (req, res) => {
-    try {
-        const post = await Post.findById(req.params.post_id);
+router.delete(
+    '/:post_id',
+    auth,
+    asyncHandler(async (req, res) => {
+        const post = await findPost(req.params.post_id);
 
-        // Check if user owns post
-        if (post.user.toString() !== req.user.id) {
-            return res.status(401).json({ msg: 'Not authorized' });
-        } else {
-            await post.remove();
+        // Check if user owns post or can moderate it
+        if (!canModify(req.user, post.user)) {
+            throw new ForbiddenError('Not authorized.');
         }
 
-        if (!post) {
-            return res.status(404).json({ msg: 'Post not found.' });
-        }
+        await post.remove();
+        await Comment.deleteMany({ post: post.id });
+        await Revision.deleteMany({ post: post.id });
+        await FeedItem.deleteMany({ post: post.id });
+        await Flag.deleteMany({ post: post.id });
+        removeImagesLater(post.images);
 
         res.json({ msg: 'Post removed' });
-    } catch (err) {
-        console.error(err.message);
-
-        if (err.kind === 'ObjectId') {
-            return res.status(404).json({ msg: 'Post not found.' });
-        }
+    })
+);
 
-        res.status(500).send('Server error.');
+/**
+ * Set, switch or (with a null type) remove the user's reaction to a post.
+ * Resolves to the updated post, throwing when the post doesn't exist.
+ */
+const react = async (postId, userId, type) => {
+    const post = await Post.findOneAndUpdate(
+        { _id: postId },
+        reactionUpdate(mongoose.Types.ObjectId(userId), type),
+        { new: true }
+    );
+
+    if (!post) {
+        throw new NotFoundError('Post not found.');
     }
-});
+
+    return post;
+};
+
+const reactionSummary = (post, userId) => {
+    const mine = post.reactions.find(
+        (reaction) => reaction.user.toString() === userId
+    );
+
+    return {
+        counts: post.reactionCounts,
+        total: post.likeCount,
+        mine: mine ? mine.type : null,
+    };
+};
 
 /**
- * @route PUT api/posts/like/:post_id
- * @desc Add a like to a post
+ * @route PUT api/posts/react/:post_id
+ * @desc React to a post, replacing any earlier reaction by the same user
  * @access Private
  */
+router.put(
+    '/react/:post_id',
+    [
+        auth,
+        rateLimit('write'),
+        [check('type', 'Reaction type is not valid.').isIn(TYPES)],
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        await findVisiblePost(req);
+
+        const post = await react(
+            req.params.post_id,
+            req.user.id,
+            req.body.type
+        );
 
-router.put('/like/:post_id', auth, async (req, res) => {
-    try {
-        const post = await Post.findById(req.params.post_id);
+        res.json(reactionSummary(post, req.user.id));
 
-        // Check is post already liked by this user
-        if (
-            post.likes.filter((like) => like.user.toString() === req.user.id)
-                .length > 0
-        ) {
-            return res
-                .status(400)
-                .json({ msg: "Can't like a post more than once" });
-        }
+        notifyLater({
+            recipient: post.user,
+            actor: req.user.id,
+            type: 'reaction',
+            post: post.id,
+        });
+    })
+);
 
-        post.likes.unshift({ user: req.user.id });
-        await post.save();
+/**
+ * @route DELETE api/posts/react/:post_id
+ * @desc Remove the user's reaction from a post
+ * @access Private
+ */
+router.delete(
+    '/react/:post_id',
+    [auth, rateLimit('write')],
+    asyncHandler(async (req, res) => {
+        await findVisiblePost(req);
 
-        res.json(post.likes);
-    } catch (err) {
-        console.error(err.message);
-        res.status(500).json({ msg: 'Server error' });
+        const post = await react(req.params.post_id, req.user.id, null);
+
+        res.json(reactionSummary(post, req.user.id));
+    })
+);
+
+/**
+ * Like or unlike for the routes older clients use, where any reaction counts
+ * as a like. As before reactions, liking twice or unliking a post that
+ * wasn't liked fails.
+ */
+const legacyLike = async (req, liking) => {
+    await findVisiblePost(req);
+
+    const userId = mongoose.Types.ObjectId(req.user.id);
+    const post = await Post.findOneAndUpdate(
+        {
+            _id: req.params.post_id,
+            'reactions.user': liking ? { $ne: userId } : userId,
+        },
+        reactionUpdate(userId, liking ? 'like' : null),
+        { new: true }
+    );
+
+    if (post) {
+        return post;
+    }
+
+    if (!(await Post.exists({ _id: req.params.post_id }))) {
+        throw new NotFoundError('Post not found.');
     }
-});
+
+    throw liking
+        ? new BadRequestError("Can't like a post more than once", {
+              code: 'already_liked',
+          })
+        : new BadRequestError('Post has not been liked.', {
+              code: 'not_liked',
+          });
+};
+
+// The `likes` array older clients expect, newest first
+const legacyLikes = (post) => post.reactions.map(({ user }) => ({ user }));
 
 /**
- * @route DELETE api/posts/unlike/:post_id
- * @desc Remove a like from a post
+ * @route PUT api/posts/like/:post_id
+ * @desc Add a 👍 reaction to a post, kept for older clients. Responds with
+ *       the post's likes like it did before reactions.
  * @access Private
  */
 
-router.put('/unlike/:post_id', auth, async (req, res) => {
-    try {
-        const post = await Post.findById(req.params.post_id);
-
-        // Check is post already liked by this user
-        if (
-            post.likes.filter((like) => like.user.toString() === req.user.id)
-                .length === 0
-        ) {
-            return res.status(400).json({ msg: 'Post has not been liked.' });
-        }
+router.put(
+    '/like/:post_id',
+    [auth, rateLimit('write')],
+    asyncHandler(async (req, res) => {
+        const post = await legacyLike(req, true);
+
+        res.json(legacyLikes(post));
+
+        notifyLater({
+            recipient: post.user,
+            actor: req.user.id,
+            type: 'reaction',
+            post: post.id,
+        });
+    })
+);
 
-        // Get remove index
-        const removeIndex = post.likes
-            .map((like) => like.user.toString())
-            .indexOf(req.user.id);
+/**
+ * @route PUT api/posts/unlike/:post_id
+ * @desc Remove the user's reaction from a post, kept for older clients.
+ *       Responds with the post's likes like it did before reactions.
+ * @access Private
+ */
 
-        post.likes.splice(removeIndex, 1);
+router.put(
+    '/unlike/:post_id',
+    [auth, rateLimit('write')],
+    asyncHandler(async (req, res) => {
+        const post = await legacyLike(req, false);
 
-        await post.save();
+        res.json(legacyLikes(post));
+    })
+);
 
-        res.json(post.likes);
-    } catch (err) {
-        console.error(err.message);
-        res.status(500).json({ msg: 'Server error' });
-    }
-});
+/**
+ * @route GET api/posts/:post_id/reactions
+ * @desc List who reacted to a post, newest first
+ * @query type
+ * @access Private
+ */
+router.get(
+    '/:post_id/reactions',
+    [auth, [check('type').optional().isIn(TYPES)], validate],
+    asyncHandler(async (req, res) => {
+        const post = await findVisiblePost(req);
+
+        await post
+            .populate({
+                path: 'reactions.user',
+                model: 'user',
+                select: ['name', 'avatar'],
+            })
+            .execPopulate();
+
+        const { type } = req.query;
+
+        res.json({
+            counts: post.reactionCounts,
+            total: post.likeCount,
+            reactions: post.reactions.filter(
+                (reaction) => !type || reaction.type === type
+            ),
+        });
+    })
+);
 
 /**
  * @route POST api/posts/comment/:post_id
- * @desc Comment on a post
+ * @desc Comment on a post, or reply to a comment by passing its id as parent
  * @access Private
  */
 router.post(
     '/comment/:post_id',
-    [auth, [check('text', 'Text is required').not().isEmpty()]],
-    async (req, res) => {
-        const errors = validationResult(req);
+    [
+        auth,
+        rateLimit('write'),
+        verified(0),
+        [
+            check('text', 'Text is required').not().isEmpty(),
+            check('parent', 'Parent must be a comment id.')
+                .optional()
+                .isMongoId(),
+        ],
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const user = await User.findById(req.user.id).select('-password');
+        const post = await findVisiblePost(req);
+
+        let parent = null;
+
+        if (req.body.parent) {
+            parent = await Comment.findOne({
+                _id: req.body.parent,
+                post: post.id,
+            });
+
+            if (!parent) {
+                throw new NotFoundError('Comment does not exist.');
+            }
 
-        if (!errors.isEmpty()) {
-            return res.status(400).json({ errors: errors.mapped() });
+            if (parent.depth + 1 > maxCommentDepth) {
+                throw new BadRequestError('Replies are nested too deeply.', {
+                    code: 'nested_too_deeply',
+                });
+            }
         }
 
-        try {
-            const user = await User.findById(req.user.id).select('-password');
-            const post = await Post.findById(req.params.post_id);
+        const { html } = await renderMarkdown(req.body.text);
+
+        const newComment = new Comment({
+            post: post.id,
+            parent: parent && parent.id,
+            depth: parent ? parent.depth + 1 : 0,
+            text: req.body.text,
+            html,
+            name: user.name,
+            avatar: user.avatar,
+            user: req.user.id,
+        });
+
+        await newComment.save();
+        await Post.updateOne({ _id: post.id }, { $inc: { commentCount: 1 } });
+
+        if (parent) {
+            await Comment.updateOne(
+                { _id: parent.id },
+                { $inc: { replyCount: 1 } }
+            );
+        }
 
-            const newComment = {
-                text: req.body.text,
-                name: user.name,
-                avatar: user.avatar,
-                user: req.user.id,
-            };
+        res.json(newComment);
+
+        notifyLater(
+            parent
+                ? {
+                      recipient: parent.user,
+                      actor: req.user.id,
+                      type: 'reply',
+                      post: post.id,
+                      comment: parent.id,
+                  }
+                : {
+                      recipient: post.user,
+                      actor: req.user.id,
+                      type: 'comment',
+                      post: post.id,
+                  }
+        );
+    })
+);
 
-            post.comments.unshift(newComment);
+/**
+ * @route GET api/posts/comment/:post_id
+ * @desc Get a page of comments on a post, newest first. Top-level comments
+ *       by default, or the replies to the comment given as parent.
+ * @query limit, cursor, parent
+ * @access Private
+ */
+router.get(
+    '/comment/:post_id',
+    [
+        auth,
+        [
+            check('limit').optional().isInt({ min: 1, max: MAX_LIMIT }),
+            check('parent').optional().isMongoId(),
+        ],
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const { limit, cursor, parent = null } = req.query;
+
+        const page = await paginate(Comment, {
+            filter: {
+                post: req.params.post_id,
+                parent,
+                user: { $nin: await hiddenUsers(req.user) },
+            },
+            limit,
+            cursor,
+        });
+
+        res.json(page);
+    })
+);
 
-            await post.save();
+/**
+ * A comment on the post in the route that hasn't been deleted
+ */
+const findComment = async ({ post_id, comment_id }) => {
+    const comment = await Comment.findOne({ _id: comment_id, post: post_id });
 
-            res.json(post.comments);
-        } catch (err) {
-            console.error(err.message);
-            res.status(500).send('Server error.');
-        }
+    if (!comment || comment.deleted) {
+        throw new NotFoundError('Comment does not exist.');
     }
+
+    return comment;
+};
+
+/**
+ * @route PATCH api/posts/comment/:post_id/:comment_id
+ * @desc Edit a comment, keeping the previous text in its edit history
+ * @access Private
+ */
+router.patch(
+    '/comment/:post_id/:comment_id',
+    [
+        auth,
+        rateLimit('write'),
+        [check('text', 'Text is required').not().isEmpty()],
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const comment = await findComment(req.params);
+
+        // Only the author can put words in their mouth
+        if (comment.user.toString() !== req.user.id) {
+            throw new ForbiddenError('Not authorized.');
+        }
+
+        comment.edits.push({
+            text: comment.text,
+            date: comment.edited || comment.date,
+        });
+        comment.text = req.body.text;
+        comment.html = (await renderMarkdown(req.body.text)).html;
+        comment.edited = Date.now();
+
+        await comment.save();
+
+        res.json(comment);
+    })
 );
 
 /**
@@ -225,37 +742,135 @@ router.post(
  * @access Private
  */
 
-router.delete('/comment/:post_id/:comment_id', auth, async (req, res) => {
-    try {
-        const post = await Post.findById(req.params.post_id);
-        const comment = await post.comments.find(
-            (comment) => comment.id === req.params.comment_id
+router.delete(
+    '/comment/:post_id/:comment_id',
+    auth,
+    asyncHandler(async (req, res) => {
+        const comment = await findComment(req.params);
+
+        // Check user owns comment or can moderate it
+        if (!canModify(req.user, comment.user)) {
+            throw new ForbiddenError('Not authorized.');
+        }
+
+        await deleteComment(comment);
+
+        res.json({ msg: 'Comment removed' });
+    })
+);
+
+/**
+ * Why a like or unlike on a comment didn't apply: the comment is gone, or
+ * it was already in the state asked for
+ */
+const likeError = async (commentId, message, code) =>
+    (await Comment.exists({ _id: commentId }))
+        ? new BadRequestError(message, { code })
+        : new NotFoundError('Comment does not exist.');
+
+/**
+ * @route PUT api/posts/comment/like/:comment_id
+ * @desc Add a like to a comment
+ * @access Private
+ */
+router.put(
+    '/comment/like/:comment_id',
+    auth,
+    asyncHandler(async (req, res) => {
+        // Only push the like when this user hasn't liked it yet
+        const comment = await Comment.findOneAndUpdate(
+            {
+                _id: req.params.comment_id,
+                deleted: false,
+                'likes.user': { $ne: req.user.id },
+            },
+            {
+                $push: {
+                    likes: { $each: [{ user: req.user.id }], $position: 0 },
+                },
+                $inc: { likeCount: 1 },
+            },
+            { new: true }
         );
 
-        // Check is post already liked by this user
         if (!comment) {
-            return res.status(404).json({ msg: 'Comment does not exist.' });
+            throw await likeError(
+                req.params.comment_id,
+                "Can't like a comment more than once",
+                'already_liked'
+            );
         }
 
-        // Check user
-        if (comment.user.toString() !== req.user.id) {
-            return res.status(401).json({ msg: 'Not authorized.' });
+        res.json(comment.likes);
+    })
+);
+
+/**
+ * @route PUT api/posts/comment/unlike/:comment_id
+ * @desc Remove a like from a comment
+ * @access Private
+ */
+router.put(
+    '/comment/unlike/:comment_id',
+    auth,
+    asyncHandler(async (req, res) => {
+        const comment = await Comment.findOneAndUpdate(
+            { _id: req.params.comment_id, 'likes.user': req.user.id },
+            {
+                $pull: { likes: { user: req.user.id } },
+                $inc: { likeCount: -1 },
+            },
+            { new: true }
+        );
+
+        if (!comment) {
+            throw await likeError(
+                req.params.comment_id,
+                'Comment has not been liked.',
+                'not_liked'
+            );
         }
 
-        // Get remove index
-        const removeIndex = post.comments
-            .map((comment) => comment.user.toString())
-            .indexOf(req.user.id);
+        res.json(comment.likes);
+    })
+);
 
-        post.comments.splice(removeIndex, 1);
+/**
+ * @route POST api/posts/flag/:post_id/:comment_id?
+ * @desc Flag a post, or one of its comments, for moderators to review
+ * @access Private
+ */
+router.post(
+    '/flag/:post_id/:comment_id?',
+    [
+        auth,
+        rateLimit('write'),
+        [check('reason', 'Reason is required').not().isEmpty()],
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const post = await findVisiblePost(req);
+
+        const { comment_id } = req.params;
 
-        await post.save();
+        if (
+            comment_id &&
+            !(await Comment.exists({ _id: comment_id, post: post.id }))
+        ) {
+            throw new NotFoundError('Comment does not exist.');
+        }
 
-        res.json(post.comments);
-    } catch (err) {
-        console.error(err.message);
-        res.status(500).json({ msg: 'Server error' });
-    }
-});
+        const flag = new Flag({
+            user: req.user.id,
+            post: post.id,
+            comment: comment_id,
+            reason: req.body.reason,
+        });
+
+        await flag.save();
+
+        res.json({ msg: 'Thanks, a moderator will take a look.' });
+    })
+);
 
 module.exports = router;
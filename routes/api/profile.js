@@ -1,34 +1,94 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../../middleware/auth');
-const { check, validationResult } = require('express-validator');
-const config = require('config');
-const axios = require('axios');
+const optionalAuth = require('../../middleware/optionalAuth');
+const upload = require('../../middleware/upload');
+const validate = require('../../middleware/validate');
+const validId = require('../../middleware/validId');
+const { check } = require('express-validator');
+const asyncHandler = require('../../utils/asyncHandler');
+const {
+    BadRequestError,
+    ForbiddenError,
+    NotFoundError,
+    ValidationError,
+} = require('../../utils/errors');
+const { getGithubRepos, getAccountRepos } = require('../../utils/repos');
+const {
+    adapterNames,
+    resolveHost,
+    isAllowedHost,
+} = require('../../utils/providers');
 
 const User = require('../../models/User');
 const Profile = require('../../models/Profile');
+const Follow = require('../../models/Follow');
+const Endorsement = require('../../models/Endorsement');
+const Skill = require('../../models/Skill');
+const {
+    scheduleDeletion,
+    isPendingDeletion,
+    hiddenUsers,
+} = require('../../utils/accounts');
+const { paginate, dateRange, MAX_LIMIT } = require('../../utils/paginate');
+const { backfillFeed, pruneFeed } = require('../../utils/feed');
+const {
+    findSkill,
+    normalizeSkills,
+    updateSkillCounts,
+    refreshEndorsements,
+} = require('../../utils/skills');
+const resume = require('../../utils/resume');
+const importers = require('../../utils/importers');
+const { linkedGithubUsername } = require('../../utils/oauth');
+
+// User fields shown alongside a profile
+const userFields = ['name', 'avatar', 'followerCount', 'followingCount'];
+
+// Contact details with their own visibility, see Profile.contactVisibility
+const contactFields = ['email', 'location', 'website', 'social'];
+
+/**
+ * The current user's profile, for routes that change it
+ */
+const findOwnProfile = async (userId) => {
+    const profile = await Profile.findOne({ user: userId });
+
+    if (!profile) {
+        throw new NotFoundError('No profile found.', {
+            code: 'profile_missing',
+        });
+    }
+
+    return profile;
+};
+
+router.param('user_id', validId('Profile not found.'));
+router.param('entry_id', validId('Entry not found.'));
+router.param('account_id', validId('Account not found.'));
 
 /**
  * @route GET api/profile/me
  * @desc Get current user's profile
  * @access Private
  */
-router.get('/me', auth, async (req, res) => {
-    try {
+router.get(
+    '/me',
+    auth,
+    asyncHandler(async (req, res) => {
         const profile = await Profile.findOne({
             user: req.user.id,
-        }).populate('user', ['name', 'avatar']);
+        }).populate('user', userFields);
 
         if (!profile) {
-            return res.status(400).json({ msg: 'No profile found.' });
+            throw new NotFoundError('No profile found.', {
+                code: 'profile_missing',
+            });
         }
 
         res.json(profile);
-    } catch (err) {
-        console.error(err.message);
-        res.status(500).send('Server error.');
-    }
-});
+    })
+);
 
 /**
  * @route POST api/profile
@@ -43,14 +103,9 @@ router.post(
             check('status', 'Status is required').not().isEmpty(),
             check('skills', 'Skills is a required field.').not().isEmpty(),
         ],
+        validate,
     ],
-    async (req, res) => {
-        const errors = validationResult(req);
-
-        if (!errors.isEmpty()) {
-            return res.status(400).json({ errors: errors.array() });
-        }
-
+    asyncHandler(async (req, res) => {
         const {
             company,
             website,
@@ -75,12 +130,6 @@ router.post(
         if (location) profileFields.location = location;
         if (status) profileFields.status = status;
 
-        if (skills) {
-            profileFields.skills = skills
-                .split(',')
-                .map((skill) => skill.trim());
-        }
-
         if (bio) profileFields.bio = bio;
         if (githubUsername) profileFields.githubUsername = githubUsername;
 
@@ -92,175 +141,509 @@ router.post(
         if (linkedin) profileFields.social.linkedin = linkedin;
         if (instagram) profileFields.social.instagram = instagram;
 
-        try {
-            let profile = await Profile.findOne({ user: req.user.id });
+        // "react.js" and "ReactJS" are both React, see utils/skills
+        profileFields.skills = await normalizeSkills(skills);
 
-            // profile found
-            if (profile) {
-                profile = await Profile.findOneAndUpdate(
-                    { user: req.user.id },
-                    { $set: profileFields },
-                    { new: true }
-                );
+        let profile = await Profile.findOne({ user: req.user.id });
 
-                return res.json(profile);
-            }
+        // profile found
+        if (profile) {
+            const previousSkills = profile.skills;
 
-            // profile not found, create new
-            profile = new Profile(profileFields);
-            await profile.save();
-            res.json(profile);
-        } catch (err) {
-            console.error(err.message);
-            res.status(500).send('Server error.');
+            profile = await Profile.findOneAndUpdate(
+                { user: req.user.id },
+                { $set: profileFields },
+                { new: true }
+            );
+
+            await updateSkillCounts(previousSkills, profile.skills);
+            profile.endorsements = await refreshEndorsements(req.user.id);
+
+            return res.json(profile);
         }
-    }
+
+        // profile not found, create new, with the GitHub account the
+        // user signed in with unless they gave another
+        if (!profileFields.githubUsername) {
+            profileFields.githubUsername = await linkedGithubUsername(
+                req.user.id
+            );
+        }
+
+        profile = new Profile(profileFields);
+        await profile.save();
+        await updateSkillCounts([], profile.skills);
+        profile.endorsements = await refreshEndorsements(req.user.id);
+
+        res.json(profile);
+    })
 );
 
 /**
  * @route GET api/profile
- * @desc Get all profiles
+ * @desc Get a page of profiles, newest first
+ * @query limit, cursor, user, skill, from, to
  * @access Public
  */
-router.get('/', async (req, res) => {
-    try {
-        const profiles = await Profile.find().populate('user', [
-            'name',
-            'avatar',
-        ]);
-        res.json(profiles);
-    } catch (err) {
-        console.error(err.message);
-        res.status(500).send('Server error.');
-    }
-});
+router.get(
+    '/',
+    [
+        check('limit').optional().isInt({ min: 1, max: MAX_LIMIT }),
+        check('user').optional().isString().isMongoId(),
+        check('skill').optional().isString(),
+        check('cursor').optional().isString(),
+        check('from').optional().isISO8601(),
+        check('to').optional().isISO8601(),
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const { limit, cursor, user, skill, from, to } = req.query;
+
+        // Accounts scheduled for deletion stay hidden until restored
+        const filter = { user: { $nin: await hiddenUsers() } };
+
+        if (user) filter.user.$eq = user;
+        if (from || to) filter.date = dateRange(from, to);
+
+        if (skill) {
+            const known = await findSkill(skill);
+            filter.skills = known ? known.name : skill;
+        }
+
+        const page = await paginate(Profile, {
+            filter,
+            limit,
+            cursor,
+            populate: ['user', userFields],
+        });
+
+        res.json(page);
+    })
+);
 
 /**
  * @route GET api/profile/user/:user_id
  * @desc Get profile by user id
  * @access Public
  */
-router.get('/user/:user_id', async (req, res) => {
-    try {
+router.get(
+    '/user/:user_id',
+    asyncHandler(async (req, res) => {
         const profile = await Profile.findOne({
             user: req.params.user_id,
-        }).populate('user', ['name', 'avatar']);
+        }).populate('user', userFields);
 
-        if (!profile) {
-            return res.status(400).json({ msg: 'Profile not found.' });
+        if (!profile || (await isPendingDeletion(req.params.user_id))) {
+            throw new NotFoundError('Profile not found.');
         }
+
         res.json(profile);
-    } catch (err) {
-        console.error(err.message);
+    })
+);
 
-        if (err.kind === 'ObjectId') {
-            return res.status(400).json({ msg: 'Profile not found.' });
+/**
+ * @route POST api/profile/import
+ * @desc Import a profile from a JSON Resume document or LinkedIn data
+ *       export. Upload a .json, .zip or .csv file as multipart/form-data in
+ *       `file`, or send a JSON Resume document as `resume`. Each section
+ *       (basics, experience, education, skills) can be merge, replace or
+ *       skip, merge by default. Nothing is saved unless dryRun is false, so
+ *       by default the response is a preview of the changes.
+ * @access Private
+ */
+router.post(
+    '/import',
+    [
+        auth,
+        upload('file', 1, 'import'),
+        [
+            ...importers.SECTIONS.map((section) =>
+                check(section, `${section} must be merge, replace or skip.`)
+                    .optional()
+                    .isIn(importers.MODES)
+            ),
+            check('dryRun').optional().isBoolean(),
+        ],
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const dryRun = String(req.body.dryRun) !== 'false';
+
+        let imported;
+
+        if (req.files.length) {
+            imported = importers.parseImport(req.files[0].buffer);
+        } else if (req.body.resume) {
+            imported = importers.parseImport(
+                Buffer.from(
+                    typeof req.body.resume === 'string'
+                        ? req.body.resume
+                        : JSON.stringify(req.body.resume)
+                )
+            );
+        } else {
+            throw new BadRequestError(
+                'Upload a file or send a JSON Resume document.',
+                { code: 'import_missing' }
+            );
         }
 
-        res.status(500).send('Server error.');
-    }
-});
+        const profile = await Profile.findOne({ user: req.user.id });
+        const { fields, changes } = await importers.applyImport(
+            profile ? profile.toObject() : {},
+            imported,
+            req.body
+        );
+        const warnings = imported.warnings;
+        const result = {
+            ...(profile ? profile.toObject() : {}),
+            ...fields,
+        };
+
+        if (!result.status || !result.skills || !result.skills.length) {
+            warnings.push('A profile needs a status and at least one skill.');
+        }
+
+        if (dryRun) {
+            return res.json({ dryRun, changes, warnings, profile: result });
+        }
+
+        if (!result.status || !result.skills || !result.skills.length) {
+            throw new BadRequestError(warnings.pop(), {
+                code: 'import_incomplete',
+            });
+        }
+
+        const previousSkills = profile ? profile.skills : [];
+        let saved;
+
+        if (profile) {
+            profile.set(fields);
+            saved = await profile.save();
+        } else {
+            saved = await new Profile({
+                ...fields,
+                user: req.user.id,
+            }).save();
+        }
+
+        await updateSkillCounts(previousSkills, saved.skills);
+        saved.endorsements = await refreshEndorsements(req.user.id);
+
+        res.json({ dryRun, changes, warnings, profile: saved });
+    })
+);
 
 /**
- * @route DELETE api/profile/me
- * @desc Delete profile, user, and posts
- * @access Private
+ * @route GET api/profile/user/:user_id/export
+ * @desc Download a profile as a PDF resume, a JSON Resume document or a
+ *       vCard. Contact details follow the profile's contactVisibility.
+ * @query format (pdf|json-resume|vcard), template (classic|modern)
+ * @access Public
  */
-router.delete('/', auth, async (req, res) => {
-    try {
-        // Remove profile
-        await Profile.findOneAndRemove({ user: req.user.id });
+router.get(
+    '/user/:user_id/export',
+    [
+        optionalAuth,
+        [
+            check('format', 'Format is not valid.').isIn(resume.FORMATS),
+            check('template', 'Template is not valid.')
+                .optional()
+                .isIn(resume.TEMPLATES),
+        ],
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const { format, template } = req.query;
 
-        // Remove user
-        await User.findOneAndRemove({ _id: req.user.id });
+        const profile = await Profile.findOne({
+            user: req.params.user_id,
+        }).populate('user', ['name', 'avatar', 'email']);
 
-        res.json({ msg: 'User deleted.' });
-    } catch (err) {
-        console.error(err.message);
-        res.status(500).send('Server error.');
-    }
-});
+        // populate leaves user null when the account is gone
+        if (
+            !profile ||
+            !profile.user ||
+            (await isPendingDeletion(req.params.user_id))
+        ) {
+            throw new NotFoundError('Profile not found.');
+        }
+
+        const document = await resume.buildResume(
+            profile,
+            req.user && req.user.id
+        );
+        const filename =
+            profile.user.name
+                .toLowerCase()
+                .replace(/[^a-z0-9]+/g, '-')
+                .replace(/^-+|-+$/g, '') || 'resume';
+
+        if (format === 'json-resume') {
+            res.attachment(`${filename}.json`);
+            return res.json(document);
+        }
+
+        if (format === 'vcard') {
+            res.attachment(`${filename}.vcf`);
+            res.type('text/vcard');
+            return res.send(resume.toVCard(document));
+        }
+
+        res.attachment(`${filename}.pdf`);
+        res.type('application/pdf');
+        resume.renderPDF(document, template).pipe(res);
+    })
+);
 
 /**
- * @route PUT api/profile/experience
- * @desc Add experience to a profile
+ * @route PUT api/profile/visibility
+ * @desc Set who can see each contact detail in exports: public, followers
+ *       or private. Fields are email, location, website and social.
  * @access Private
  */
 router.put(
-    '/experience',
+    '/visibility',
     [
         auth,
-        [
-            check('title', 'Title is required.').not().isEmpty(),
-            check('company', 'Company is required.').not().isEmpty(),
-            check('from', 'From date is required.').not().isEmpty(),
-        ],
+        contactFields.map((field) =>
+            check(field, 'Visibility must be public, followers or private.')
+                .optional()
+                .isIn(['public', 'followers', 'private'])
+        ),
+        validate,
     ],
-    async (req, res) => {
-        const errors = validationResult(req);
+    asyncHandler(async (req, res) => {
+        const update = {};
+
+        contactFields.forEach((field) => {
+            if (req.body[field]) {
+                update[`contactVisibility.${field}`] = req.body[field];
+            }
+        });
 
-        if (!errors.isEmpty()) {
-            return res.status(400).json({ msg: errors.mapped() });
+        const profile = await Profile.findOneAndUpdate(
+            { user: req.user.id },
+            { $set: update },
+            { new: true }
+        );
+
+        if (!profile) {
+            throw new NotFoundError('No profile found.', {
+                code: 'profile_missing',
+            });
         }
 
-        const {
-            title,
-            company,
-            location,
-            from,
-            to,
-            current,
-            description,
-        } = req.body;
+        res.json(profile.contactVisibility);
+    })
+);
 
-        const newExperience = {
-            title,
-            company,
-            location,
-            from,
-            to,
-            current,
-            description,
-        };
+/**
+ * @route DELETE api/profile
+ * @desc Schedule deletion of the profile, user, and everything they posted.
+ * Nothing is removed until the grace period is over, see utils/accounts.
+ * With `anonymize` posts and comments are kept under a placeholder name.
+ * The account is signed out and can't sign in while deletion is pending,
+ * so GET api/users/me/export has to be downloaded beforehand.
+ * @access Private
+ */
+router.delete(
+    '/',
+    auth,
+    asyncHandler(async (req, res) => {
+        const anonymize = [true, 'true'].includes(
+            req.body.anonymize !== undefined
+                ? req.body.anonymize
+                : req.query.anonymize
+        );
+        const purgeAt = await scheduleDeletion(req.user.id, { anonymize });
 
-        try {
-            const profile = await Profile.findOne({ user: req.user.id });
+        res.json({
+            msg: `Account will be deleted on ${purgeAt.toISOString()}. Log in with POST api/auth/restore before then to keep it, after which GET api/users/me/export can download your data again.`,
+            purgeAt,
+            anonymize,
+        });
+    })
+);
 
-            profile.experience.unshift(newExperience);
-            await profile.save();
+// Fields of each profile section that holds dated entries
+const entryFields = {
+    experience: [
+        'title',
+        'company',
+        'location',
+        'from',
+        'to',
+        'current',
+        'description',
+    ],
+    education: [
+        'school',
+        'degree',
+        'fieldOfStudy',
+        'from',
+        'to',
+        'current',
+        'description',
+    ],
+};
 
-            res.json(profile);
-        } catch (err) {
-            console.error(err.message);
-            res.status(500).send('Server error.');
-        }
+/**
+ * Validators for an entry's fields. The required fields are only optional
+ * when editing.
+ */
+const entryValidators = (required, editing) => [
+    ...required.map(([field, msg]) =>
+        editing
+            ? check(field, msg).optional().not().isEmpty()
+            : check(field, msg).not().isEmpty()
+    ),
+    check('from', 'From must be a date.').optional().isISO8601(),
+    check('to', 'To must be a date.')
+        .optional({ nullable: true, checkFalsy: true })
+        .isISO8601(),
+    check('current', 'Current must be true or false.').optional().isBoolean(),
+    validate,
+];
+
+/**
+ * Throw when an entry's dates don't add up
+ */
+const checkEntryDates = ({ from, to, current }) => {
+    if (current && to) {
+        throw new ValidationError({ to: 'A current entry has no end date.' });
     }
-);
+
+    if (to && new Date(to) <= new Date(from)) {
+        throw new ValidationError({
+            to: 'The end date must be after the start date.',
+        });
+    }
+};
 
 /**
- * @route DELETE api/profile/experience/:exp_id
- * @desc Delete experience from a profile
- * @access Private
+ * The entry fields present in a request body. An empty `to` clears it.
  */
-router.delete('/experience/:exp_id', auth, async (req, res) => {
-    try {
-        // Find profile
-        const profile = await Profile.findOne({ user: req.user.id });
+const entryFromBody = (section, body) => {
+    const entry = {};
 
-        // Remove experience from the profile
-        const removeIndex = profile.experience
-            .map((item) => item.id)
-            .indexOf(req.params.exp_id);
+    entryFields[section].forEach((field) => {
+        if (body[field] !== undefined) entry[field] = body[field];
+    });
 
-        profile.experience.splice(removeIndex, 1);
+    if (entry.to === '') entry.to = null;
+    if (entry.current !== undefined) {
+        entry.current = String(entry.current) === 'true';
+    }
+
+    return entry;
+};
+
+/**
+ * One entry of a section of the current user's profile, with the profile
+ */
+const findEntry = async (section, req) => {
+    const profile = await Profile.findOne({ user: req.user.id });
+    const entry = profile && profile[section].id(req.params.entry_id);
 
+    if (!entry) {
+        throw new NotFoundError('Entry not found.');
+    }
+
+    return { profile, entry };
+};
+
+/**
+ * Add an entry to a profile section
+ */
+const addEntry = (section) =>
+    asyncHandler(async (req, res) => {
+        const entry = entryFromBody(section, req.body);
+
+        checkEntryDates(entry);
+
+        const profile = await findOwnProfile(req.user.id);
+
+        // The model keeps entries in order, see models/Profile
+        profile[section].push(entry);
         await profile.save();
+
         res.json(profile);
-    } catch (err) {
-        console.error(err.message);
-        res.status(500).send('Server error.');
-    }
-});
+    });
+
+/**
+ * Edit the fields given of one entry in a profile section
+ */
+const editEntry = (section) =>
+    asyncHandler(async (req, res) => {
+        const { profile, entry } = await findEntry(section, req);
+        const changes = entryFromBody(section, req.body);
+
+        // Marking an entry current clears its end date
+        if (changes.current && changes.to === undefined) changes.to = null;
+
+        checkEntryDates({ ...entry.toObject(), ...changes });
+
+        entry.set(changes);
+        await profile.save();
+
+        res.json(profile);
+    });
+
+/**
+ * Remove one entry from a profile section
+ */
+const deleteEntry = (section) =>
+    asyncHandler(async (req, res) => {
+        const { profile, entry } = await findEntry(section, req);
+
+        entry.remove();
+        await profile.save();
+
+        res.json(profile);
+    });
+
+const experienceRequired = [
+    ['title', 'Title is required.'],
+    ['company', 'Company is required.'],
+    ['from', 'From date is required.'],
+];
+
+const educationRequired = [
+    ['school', 'School is required.'],
+    ['degree', 'Degree is required.'],
+    ['fieldOfStudy', 'Field of study is required.'],
+    ['from', 'From date is required.'],
+];
+
+/**
+ * @route PUT api/profile/experience
+ * @desc Add experience to a profile
+ * @access Private
+ */
+router.put(
+    '/experience',
+    [auth, entryValidators(experienceRequired, false)],
+    addEntry('experience')
+);
+
+/**
+ * @route PATCH api/profile/experience/:entry_id
+ * @desc Edit an experience entry
+ * @access Private
+ */
+router.patch(
+    '/experience/:entry_id',
+    [auth, entryValidators(experienceRequired, true)],
+    editEntry('experience')
+);
+
+/**
+ * @route DELETE api/profile/experience/:entry_id
+ * @desc Delete experience from a profile
+ * @access Private
+ */
+router.delete('/experience/:entry_id', auth, deleteEntry('experience'));
 
 /**
  * @route PUT api/profile/education
@@ -269,106 +652,373 @@ router.delete('/experience/:exp_id', auth, async (req, res) => {
  */
 router.put(
     '/education',
+    [auth, entryValidators(educationRequired, false)],
+    addEntry('education')
+);
+
+/**
+ * @route PATCH api/profile/education/:entry_id
+ * @desc Edit an education entry
+ * @access Private
+ */
+router.patch(
+    '/education/:entry_id',
+    [auth, entryValidators(educationRequired, true)],
+    editEntry('education')
+);
+
+/**
+ * @route DELETE api/profile/education/:entry_id
+ * @desc Delete education from a profile
+ * @access Private
+ */
+router.delete('/education/:entry_id', auth, deleteEntry('education'));
+
+/**
+ * @route POST api/profile/follow/:user_id
+ * @desc Follow a developer
+ * @access Private
+ */
+router.post(
+    '/follow/:user_id',
+    auth,
+    asyncHandler(async (req, res) => {
+        const { user_id } = req.params;
+
+        if (user_id === req.user.id) {
+            throw new BadRequestError("You can't follow yourself.");
+        }
+
+        if (!(await User.exists({ _id: user_id }))) {
+            throw new NotFoundError('User not found.');
+        }
+
+        // Upsert so following twice is a no-op rather than a double count
+        const result = await Follow.updateOne(
+            { follower: req.user.id, following: user_id },
+            { $setOnInsert: { date: Date.now() } },
+            { upsert: true }
+        );
+
+        if (result.upserted) {
+            await User.updateOne(
+                { _id: user_id },
+                { $inc: { followerCount: 1 } }
+            );
+            await User.updateOne(
+                { _id: req.user.id },
+                { $inc: { followingCount: 1 } }
+            );
+            await backfillFeed(req.user.id, user_id);
+        }
+
+        res.json({ msg: 'Following.' });
+    })
+);
+
+/**
+ * @route DELETE api/profile/follow/:user_id
+ * @desc Unfollow a developer
+ * @access Private
+ */
+router.delete(
+    '/follow/:user_id',
+    auth,
+    asyncHandler(async (req, res) => {
+        const { user_id } = req.params;
+
+        const follow = await Follow.findOneAndDelete({
+            follower: req.user.id,
+            following: user_id,
+        });
+
+        if (!follow) {
+            throw new BadRequestError('Not following that user.', {
+                code: 'not_following',
+            });
+        }
+
+        await User.updateOne({ _id: user_id }, { $inc: { followerCount: -1 } });
+        await User.updateOne(
+            { _id: req.user.id },
+            { $inc: { followingCount: -1 } }
+        );
+        await pruneFeed(req.user.id, user_id);
+
+        res.json({ msg: 'Unfollowed.' });
+    })
+);
+
+/**
+ * List one side of a user's follow relationships, newest first
+ */
+const followList = (key, other) =>
+    asyncHandler(async (req, res) => {
+        const page = await paginate(Follow, {
+            filter: { [key]: req.params.user_id },
+            limit: req.query.limit,
+            cursor: req.query.cursor,
+            populate: [other, ['name', 'avatar']],
+        });
+
+        res.json({
+            items: page.items.map((follow) => follow[other]),
+            nextCursor: page.nextCursor,
+        });
+    });
+
+/**
+ * @route GET api/profile/user/:user_id/followers
+ * @desc Get a page of the users following a user
+ * @query limit, cursor
+ * @access Public
+ */
+router.get('/user/:user_id/followers', followList('following', 'follower'));
+
+/**
+ * @route GET api/profile/user/:user_id/following
+ * @desc Get a page of the users a user follows
+ * @query limit, cursor
+ * @access Public
+ */
+router.get('/user/:user_id/following', followList('follower', 'following'));
+
+/**
+ * Load the profile and skill an endorsement route refers to, throwing when
+ * either is missing
+ */
+const findEndorsable = async (req) => {
+    const skill = await Skill.findOne({ slug: req.params.slug });
+    const profile = await Profile.findOne({ user: req.params.user_id });
+
+    if (!profile || !skill || !profile.skills.includes(skill.name)) {
+        throw new NotFoundError('Skill not found on that profile.');
+    }
+
+    return { profile, skill };
+};
+
+/**
+ * @route PUT api/profile/user/:user_id/endorsements/:slug
+ * @desc Endorse a skill on another developer's profile
+ * @access Private
+ */
+router.put(
+    '/user/:user_id/endorsements/:slug',
+    auth,
+    asyncHandler(async (req, res) => {
+        const { user_id } = req.params;
+
+        if (user_id === req.user.id) {
+            throw new BadRequestError("You can't endorse yourself.");
+        }
+
+        const found = await findEndorsable(req);
+
+        if (await User.exists({ _id: user_id, blocked: req.user.id })) {
+            throw new ForbiddenError("You can't endorse that user.", {
+                code: 'blocked',
+            });
+        }
+
+        // Upsert so endorsing twice is a no-op
+        await Endorsement.updateOne(
+            { user: user_id, skill: found.skill.name, endorser: req.user.id },
+            { $setOnInsert: { date: Date.now() } },
+            { upsert: true }
+        );
+
+        res.json(await refreshEndorsements(user_id));
+    })
+);
+
+/**
+ * @route DELETE api/profile/user/:user_id/endorsements/:slug
+ * @desc Withdraw an endorsement
+ * @access Private
+ */
+router.delete(
+    '/user/:user_id/endorsements/:slug',
+    auth,
+    asyncHandler(async (req, res) => {
+        const found = await findEndorsable(req);
+
+        await Endorsement.deleteOne({
+            user: req.params.user_id,
+            skill: found.skill.name,
+            endorser: req.user.id,
+        });
+
+        res.json(await refreshEndorsements(req.params.user_id));
+    })
+);
+
+/**
+ * @route GET api/profile/user/:user_id/endorsements/:slug
+ * @desc Get a page of the users who endorsed a skill on a profile
+ * @query limit, cursor
+ * @access Public
+ */
+router.get(
+    '/user/:user_id/endorsements/:slug',
+    [check('limit').optional().isInt({ min: 1, max: MAX_LIMIT }), validate],
+    asyncHandler(async (req, res) => {
+        const found = await findEndorsable(req);
+
+        const page = await paginate(Endorsement, {
+            filter: { user: req.params.user_id, skill: found.skill.name },
+            limit: req.query.limit,
+            cursor: req.query.cursor,
+            populate: ['endorser', ['name', 'avatar']],
+        });
+
+        res.json({
+            items: page.items.map((endorsement) => endorsement.endorser),
+            nextCursor: page.nextCursor,
+        });
+    })
+);
+
+/**
+ * @route PUT api/profile/code-accounts
+ * @desc Add an account on GitHub, GitLab, Bitbucket or Gitea to a profile.
+ *       Self-hosted instances must be listed in the codeHosts config.
+ * @access Private
+ */
+router.put(
+    '/code-accounts',
     [
         auth,
         [
-            check('school', 'School is required.').not().isEmpty(),
-            check('degree', 'Degree is required.').not().isEmpty(),
-            check('fieldOfStudy', 'Field of study is required.')
+            check('provider', 'Provider is not supported.').custom((value) =>
+                adapterNames().includes(value)
+            ),
+            check('username', 'Username is required.')
+                .isString()
                 .not()
                 .isEmpty(),
-            check('from', 'From date is required.').not().isEmpty(),
+            check('host', 'Host is not valid.')
+                .optional({ checkFalsy: true })
+                .isString(),
         ],
+        validate,
     ],
-    async (req, res) => {
-        const errors = validationResult(req);
+    asyncHandler(async (req, res) => {
+        const { provider, username } = req.body;
+        const host = resolveHost(provider, req.body.host);
 
-        if (!errors.isEmpty()) {
-            return res.status(400).json({ msg: errors.mapped() });
+        if (!host) {
+            throw new ValidationError({
+                host: `A host is required for ${provider}.`,
+            });
         }
 
-        const {
-            school,
-            degree,
-            fieldOfStudy,
-            from,
-            to,
-            current,
-            description,
-        } = req.body;
+        // Self-hosted instances have to be configured in codeHosts first
+        if (!isAllowedHost(provider, host)) {
+            throw new ValidationError({
+                host: `${host} is not a ${provider} host this site supports.`,
+            });
+        }
 
-        const newEducation = {
-            school,
-            degree,
-            fieldOfStudy,
-            from,
-            to,
-            current,
-            description,
-        };
+        const profile = await findOwnProfile(req.user.id);
 
-        try {
-            const profile = await Profile.findOne({ user: req.user.id });
+        const exists = profile.codeAccounts.some(
+            (account) =>
+                account.provider === provider &&
+                account.host === host &&
+                account.username.toLowerCase() === username.toLowerCase()
+        );
 
-            profile.education.unshift(newEducation);
+        if (!exists) {
+            profile.codeAccounts.push({ provider, host, username });
             await profile.save();
-
-            res.json(profile);
-        } catch (err) {
-            console.error(err.message);
-            res.status(500).send('Server error.');
         }
-    }
+
+        res.json(profile);
+    })
 );
 
 /**
- * @route DELETE api/profile/education/:education_id
- * @desc Delete education from a profile
+ * @route DELETE api/profile/code-accounts/:account_id
+ * @desc Remove a code-hosting account from a profile
  * @access Private
  */
-router.delete('/education/:exp_id', auth, async (req, res) => {
-    try {
-        // Find profile
-        const profile = await Profile.findOne({ user: req.user.id });
+router.delete(
+    '/code-accounts/:account_id',
+    auth,
+    asyncHandler(async (req, res) => {
+        const profile = await findOwnProfile(req.user.id);
 
-        // Remove experience from the profile
-        const removeIndex = profile.education
-            .map((item) => item.id)
-            .indexOf(req.params.exp_id);
+        const account = profile.codeAccounts.id(req.params.account_id);
 
-        profile.education.splice(removeIndex, 1);
+        if (!account) {
+            throw new NotFoundError('Account not found.');
+        }
 
+        account.remove();
         await profile.save();
+
         res.json(profile);
-    } catch (err) {
-        console.error(err.message);
-        res.status(500).send('Server error.');
-    }
-});
+    })
+);
 
 /**
- * @route GET api/profile/github/:username
- * @desc Get user repos from Github
+ * @route GET api/profile/repos/:user_id
+ * @desc Get a user's repos from all their code-hosting accounts as
+ *       { repos, errors }, each repo normalized to name, description,
+ *       stars, language and updatedAt
  * @access Public
  */
-router.get('/github/:username', async (req, res) => {
-    try {
-        const uri = encodeURI(
-            `https://api.github.com/users/${req.params.username}/repos?per_page=5&sort=created:asc`
+router.get(
+    '/repos/:user_id',
+    asyncHandler(async (req, res) => {
+        const profile = await Profile.findOne({ user: req.params.user_id });
+
+        if (!profile || (await isPendingDeletion(req.params.user_id))) {
+            throw new NotFoundError('Profile not found.');
+        }
+
+        const accounts = profile.codeAccounts.map(
+            ({ provider, host, username }) => ({ provider, host, username })
         );
 
-        const headers = {
-            'user-agent': 'node.js',
-            Authorization: `token ${config.get('githubPAToken')}`,
-        };
+        // Profiles from before code accounts only have a GitHub username
+        if (
+            profile.githubUsername &&
+            !accounts.some(
+                (account) =>
+                    account.provider === 'github' &&
+                    account.host === resolveHost('github') &&
+                    account.username.toLowerCase() ===
+                        profile.githubUsername.toLowerCase()
+            )
+        ) {
+            accounts.push({
+                provider: 'github',
+                host: resolveHost('github'),
+                username: profile.githubUsername,
+            });
+        }
 
-        const gitHubResponse = await axios.get(uri, { headers });
+        res.json(await getAccountRepos(accounts));
+    })
+);
 
-        return res.json(gitHubResponse.data);
-    } catch (err) {
-        console.error(err.message);
-        res.status(404).send('No github profile found.');
-    }
-});
+/**
+ * @route GET api/profile/github/:username
+ * @desc Get user repos from Github, cached. The X-Cache header says whether
+ *       they came from cache, GitHub or a stale copy while GitHub is down.
+ *       Provider failures carry their own status and Retry-After.
+ * @access Public
+ */
+router.get(
+    '/github/:username',
+    asyncHandler(async (req, res) => {
+        const { repos, source } = await getGithubRepos(req.params.username);
+
+        res.set('X-Cache', source.toUpperCase());
+        res.json(repos);
+    })
+);
 
 module.exports = router;
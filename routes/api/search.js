@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const auth = require('../../middleware/auth');
+const validate = require('../../middleware/validate');
+const asyncHandler = require('../../utils/asyncHandler');
+const { search, searchFields } = require('../../utils/search');
+const { blockedEitherWay, hiddenUsers } = require('../../utils/accounts');
+
+const TYPES = Object.keys(searchFields);
+
+/**
+ * @route GET api/search
+ * @desc Search developer profiles, posts and comments
+ * @query q, type (profile|post|comment), limit, skip
+ * @access Private
+ */
+router.get(
+    '/',
+    [
+        auth,
+        [
+            check('q', 'Search query is required.').trim().not().isEmpty(),
+            check('type').optional().isIn(TYPES),
+            check('limit').optional().isInt({ min: 1, max: 50 }),
+            check('skip').optional().isInt({ min: 0 }),
+        ],
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const { q, type, limit = 20, skip = 0 } = req.query;
+
+        const results = await search({
+            q,
+            types: type ? [type] : TYPES,
+            limit: parseInt(limit, 10),
+            skip: parseInt(skip, 10),
+            excludeUsers: await blockedEitherWay(req.user),
+            hiddenUsers: await hiddenUsers(),
+        });
+
+        res.json(results);
+    })
+);
+
+module.exports = router;
@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const { check } = require('express-validator');
+const validate = require('../../middleware/validate');
+const asyncHandler = require('../../utils/asyncHandler');
+const { NotFoundError } = require('../../utils/errors');
+const { suggestSkills } = require('../../utils/skills');
+const { paginate, MAX_LIMIT } = require('../../utils/paginate');
+
+const Skill = require('../../models/Skill');
+const Profile = require('../../models/Profile');
+
+/**
+ * @route GET api/skills
+ * @desc Autocomplete skills by name or alias, most used first
+ * @query prefix, limit
+ * @access Public
+ */
+router.get(
+    '/',
+    [
+        check('prefix').optional().isString(),
+        check('limit').optional().isInt({ min: 1, max: 50 }),
+        validate,
+    ],
+    asyncHandler(async (req, res) => {
+        const { prefix = '', limit = 10 } = req.query;
+
+        res.json(await suggestSkills(prefix, parseInt(limit, 10)));
+    })
+);
+
+/**
+ * @route GET api/skills/:slug
+ * @desc Get a skill
+ * @access Public
+ */
+router.get(
+    '/:slug',
+    asyncHandler(async (req, res) => {
+        const skill = await Skill.findOne({ slug: req.params.slug }).select(
+            'name slug profileCount'
+        );
+
+        if (!skill) {
+            throw new NotFoundError('Skill not found.');
+        }
+
+        res.json(skill);
+    })
+);
+
+/**
+ * @route GET api/skills/:slug/developers
+ * @desc Get a page of the profiles listing a skill, newest first
+ * @query limit, cursor
+ * @access Public
+ */
+router.get(
+    '/:slug/developers',
+    [check('limit').optional().isInt({ min: 1, max: MAX_LIMIT }), validate],
+    asyncHandler(async (req, res) => {
+        const skill = await Skill.findOne({ slug: req.params.slug });
+
+        if (!skill) {
+            throw new NotFoundError('Skill not found.');
+        }
+
+        const page = await paginate(Profile, {
+            filter: { skills: skill.name },
+            limit: req.query.limit,
+            cursor: req.query.cursor,
+            populate: ['user', ['name', 'avatar']],
+        });
+
+        res.json(page);
+    })
+);
+
+module.exports = router;
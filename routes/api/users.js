@@ -1,12 +1,57 @@
 const express = require('express');
 const router = express.Router();
-const { check, validationResult } = require('express-validator');
+const { check } = require('express-validator');
 const gravatar = require('gravatar');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const config = require('config');
+const auth = require('../../middleware/auth');
+const rateLimit = require('../../middleware/rateLimit');
+const upload = require('../../middleware/upload');
+const validate = require('../../middleware/validate');
+const validId = require('../../middleware/validId');
+const asyncHandler = require('../../utils/asyncHandler');
+const {
+    BadRequestError,
+    ConflictError,
+    NotFoundError,
+    ValidationError,
+} = require('../../utils/errors');
+const { createSession } = require('../../utils/session');
+const { createToken, consumeToken } = require('../../utils/tokens');
+const { sendVerificationEmail } = require('../../utils/mail');
+const { exportAccount } = require('../../utils/accounts');
+const { storeImage, removeImagesLater } = require('../../utils/images');
 
 const User = require('../../models/User');
+const Post = require('../../models/Post');
+const Comment = require('../../models/Comment');
+
+const gravatarURL = (email) =>
+    gravatar.url(email, {
+        s: '200', // size
+        r: 'pg', // rating
+        d: 'mm', // default avatar image
+    });
+
+router.param('user_id', validId('User not found.'));
+
+/**
+ * Point the user, and the name and avatar copies on their posts and
+ * comments, at a new avatar
+ */
+const setAvatar = async (user, avatar, avatarImage) => {
+    const previous = user.avatarImage;
+
+    user.avatar = avatar;
+    user.avatarImage = avatarImage;
+    await user.save();
+
+    await Post.updateMany({ user: user.id }, { $set: { avatar } });
+    await Comment.updateMany({ user: user.id }, { $set: { avatar } });
+
+    if (previous && previous.key) {
+        removeImagesLater([previous]);
+    }
+};
 
 /**
  * @route POST api/users
@@ -16,77 +61,235 @@ const User = require('../../models/User');
 router.post(
     '/',
     [
+        rateLimit('auth'),
         check('name', 'Name is required.').not().isEmpty(),
         check('email', 'Please enter a valid email').isEmail(),
         check(
             'password',
             'Please enter a password between 6 and 30 characters.'
         ).isLength({ min: 6, max: 30 }),
+        validate,
     ],
 
     // Handle request and response
-    async (req, res) => {
-        const errors = validationResult(req);
+    asyncHandler(async (req, res) => {
+        const { name, email, password } = req.body;
 
-        if (!errors.isEmpty()) {
-            return res.status(400).json({ errors: errors.mapped() });
+        // Check database for user
+        let user = await User.findOne({ email });
+
+        if (user) {
+            throw new ConflictError('User already exists.', {
+                code: 'user_exists',
+            });
         }
 
-        const { name, email, password } = req.body;
+        // Get user's Gravatar
+        const avatar = gravatarURL(email);
 
-        try {
-            // Check database for user
-            let user = await User.findOne({ email });
-
-            if (user) {
-                return res.status(500).json({
-                    errors: { msg: 'User already exists.' },
-                });
-            }
-
-            // Get user's Gravatar
-            const avatar = gravatar.url(email, {
-                s: '200', // size
-                r: 'pg', // rating
-                d: 'mm', // default avatar image
-            });
+        user = new User({
+            name,
+            email,
+            avatar,
+            password,
+        });
+
+        // Encrypt & hash the password
+        const salt = await bcrypt.genSalt(10);
+        user.password = await bcrypt.hash(password, salt);
+
+        await user.save(); // save user to database
+
+        // Email a link to confirm the address
+        const verifyToken = await createToken(user.id, 'verify-email');
+        await sendVerificationEmail(user, verifyToken);
+
+        // Return access and refresh tokens
+        const tokens = await createSession(user.id, req);
+        res.json(tokens);
+    })
+);
 
-            user = new User({
-                name,
-                email,
-                avatar,
-                password,
+/**
+ * @route POST api/users/verify
+ * @desc Resend the email verification link
+ * @access Private
+ */
+router.post(
+    '/verify',
+    auth,
+    asyncHandler(async (req, res) => {
+        const user = await User.findById(req.user.id);
+
+        if (user.emailVerified) {
+            throw new BadRequestError('Email already verified.', {
+                code: 'email_verified',
             });
+        }
 
-            // Encrypt & hash the password
-            const salt = await bcrypt.genSalt(10);
-            user.password = await bcrypt.hash(password, salt);
-
-            await user.save(); // save user to database
-
-            // Return JSON Webtoken
-            const payload = {
-                user: {
-                    id: user.id,
-                },
-            };
-
-            jwt.sign(
-                payload,
-                config.get('jwtSecret'),
-                { expiresIn: 360000 },
-                (err, token) => {
-                    if (err) {
-                        throw err;
-                    }
-                    res.json({ token });
-                }
+        const verifyToken = await createToken(user.id, 'verify-email');
+        await sendVerificationEmail(user, verifyToken);
+
+        res.json({ msg: 'Verification email sent.' });
+    })
+);
+
+/**
+ * @route POST api/users/verify/:token
+ * @desc Confirm a user's email address
+ * @access Public
+ */
+router.post(
+    '/verify/:token',
+    rateLimit('auth'),
+    asyncHandler(async (req, res) => {
+        const userId = await consumeToken(req.params.token, 'verify-email');
+
+        if (!userId) {
+            throw new BadRequestError(
+                'Verification link is invalid or expired.',
+                { code: 'link_invalid' }
             );
+        }
+
+        await User.updateOne(
+            { _id: userId },
+            { $set: { emailVerified: true } }
+        );
+
+        res.json({ msg: 'Email verified.' });
+    })
+);
+
+/**
+ * @route GET api/users/blocked
+ * @desc Get the users the current user has blocked
+ * @access Private
+ */
+router.get(
+    '/blocked',
+    auth,
+    asyncHandler(async (req, res) => {
+        const user = await User.findById(req.user.id)
+            .select('blocked')
+            .populate('blocked', ['name', 'avatar']);
+
+        res.json(user.blocked);
+    })
+);
+
+/**
+ * @route PUT api/users/block/:user_id
+ * @desc Block a user from messaging you and hide their posts and comments
+ * @access Private
+ */
+router.put(
+    '/block/:user_id',
+    auth,
+    asyncHandler(async (req, res) => {
+        const { user_id } = req.params;
+
+        if (user_id === req.user.id) {
+            throw new BadRequestError("You can't block yourself.");
+        }
+
+        if (!(await User.exists({ _id: user_id }))) {
+            throw new NotFoundError('User not found.');
+        }
+
+        await User.updateOne(
+            { _id: req.user.id },
+            { $addToSet: { blocked: user_id } }
+        );
+
+        res.json({ msg: 'User blocked.' });
+    })
+);
+
+/**
+ * @route DELETE api/users/block/:user_id
+ * @desc Unblock a user
+ * @access Private
+ */
+router.delete(
+    '/block/:user_id',
+    auth,
+    asyncHandler(async (req, res) => {
+        await User.updateOne(
+            { _id: req.user.id },
+            { $pull: { blocked: req.params.user_id } }
+        );
+
+        res.json({ msg: 'User unblocked.' });
+    })
+);
+
+/**
+ * @route PUT api/users/avatar
+ * @desc Upload an avatar as multipart/form-data in the `avatar` field
+ * @access Private
+ */
+router.put(
+    '/avatar',
+    [auth, upload('avatar')],
+    asyncHandler(async (req, res) => {
+        if (!req.files.length) {
+            throw new ValidationError({ avatar: 'An image is required.' });
+        }
+
+        const user = await User.findById(req.user.id);
+        const image = await storeImage(req.files[0].buffer, 'avatars');
+
+        try {
+            // The square thumbnail is the avatar, the full size is kept for
+            // clients that want a larger one
+            await setAvatar(user, image.thumbnailUrl, {
+                key: image.key,
+                thumbnailKey: image.thumbnailKey,
+            });
         } catch (err) {
-            console.log(`Error validating user: ${err.message}`);
-            res.status(500).send('Server error.');
+            removeImagesLater([image]);
+            throw err;
         }
-    }
+
+        res.json({ avatar: user.avatar, url: image.url });
+    })
+);
+
+/**
+ * @route DELETE api/users/avatar
+ * @desc Remove an uploaded avatar and go back to the Gravatar
+ * @access Private
+ */
+router.delete(
+    '/avatar',
+    auth,
+    asyncHandler(async (req, res) => {
+        const user = await User.findById(req.user.id);
+
+        await setAvatar(user, gravatarURL(user.email), undefined);
+
+        res.json({ avatar: user.avatar });
+    })
+);
+
+/**
+ * @route GET api/users/me/export
+ * @desc Download everything stored about the user as a ZIP of JSON files.
+ *       Not available while the account is scheduled for deletion, restore
+ *       it first with POST api/auth/restore.
+ * @access Private
+ */
+router.get(
+    '/me/export',
+    auth,
+    asyncHandler(async (req, res) => {
+        const zip = await exportAccount(req.user.id);
+
+        res.attachment(`devconnector-export-${req.user.id}.zip`);
+        res.type('application/zip');
+        res.send(zip);
+    })
 );
 
 module.exports = router;
@@ -0,0 +1,60 @@
+/**
+ * One-off migration moving comments embedded in posts into the comments
+ * collection. Run with `node scripts/migrateComments`. Safe to re-run: posts
+ * are only touched while they still carry an embedded comments array.
+ */
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Comment = require('../models/Comment');
+
+const run = async () => {
+    await connectDB();
+
+    // Read the raw collection, the Post schema no longer knows about comments
+    const posts = mongoose.connection.collection('posts');
+    const cursor = posts.find({ comments: { $exists: true } });
+    let moved = 0;
+
+    for await (const post of cursor) {
+        const comments = (post.comments || []).map((comment) => ({
+            _id: comment._id,
+            post: post._id,
+            user: comment.user,
+            text: comment.text,
+            name: comment.name,
+            avatar: comment.avatar,
+            date: comment.date,
+        }));
+
+        if (comments.length) {
+            await Comment.insertMany(comments, { ordered: false }).catch(
+                (err) => {
+                    // Duplicates are left over from an interrupted run
+                    if (err.code !== 11000) throw err;
+                }
+            );
+        }
+
+        await posts.updateOne(
+            { _id: post._id },
+            {
+                $set: {
+                    commentCount: await Comment.countDocuments({
+                        post: post._id,
+                    }),
+                },
+                $unset: { comments: '' },
+            }
+        );
+
+        moved += comments.length;
+    }
+
+    console.log(`Moved ${moved} comments.`);
+    await mongoose.disconnect();
+};
+
+run().catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+});
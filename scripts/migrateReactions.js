@@ -0,0 +1,53 @@
+/**
+ * One-off migration turning the old likes array on posts into 👍 reactions
+ * and filling in the reaction counts. Run with `node scripts/migrateReactions`.
+ * Safe to re-run: only posts still carrying a likes array are touched.
+ */
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Post = require('../models/Post');
+const { countFields } = require('../utils/reactions');
+
+const run = async () => {
+    await connectDB();
+
+    const likes = await Post.collection.updateMany(
+        { likes: { $exists: true } },
+        [
+            {
+                $set: {
+                    reactions: {
+                        $map: {
+                            input: '$likes',
+                            in: {
+                                _id: '$$this._id',
+                                user: '$$this.user',
+                                type: 'like',
+                                date: '$date',
+                            },
+                        },
+                    },
+                },
+            },
+            { $set: countFields('$reactions') },
+            { $unset: 'likes' },
+        ]
+    );
+
+    // Posts created before the counters existed at all
+    const counts = await Post.collection.updateMany(
+        { likeCount: { $exists: false } },
+        [{ $set: countFields({ $ifNull: ['$reactions', []] }) }]
+    );
+
+    console.log(
+        `Migrated likes on ${likes.modifiedCount} posts, ` +
+            `counted ${counts.modifiedCount} more.`
+    );
+    await mongoose.disconnect();
+};
+
+run().catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+});
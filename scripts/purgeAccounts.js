@@ -0,0 +1,21 @@
+/**
+ * Purge accounts whose deletion grace period is over. The server does this
+ * every hour, run with `node scripts/purgeAccounts` to do it straight away.
+ */
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { purgeDueAccounts } = require('../utils/accounts');
+
+const run = async () => {
+    await connectDB();
+
+    const purged = await purgeDueAccounts();
+
+    console.log(`Purged ${purged} accounts.`);
+    await mongoose.disconnect();
+};
+
+run().catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+});
@@ -0,0 +1,43 @@
+/**
+ * One-off migration rendering the Markdown of posts and comments written
+ * before the html field existed. Run with `node scripts/renderMarkdown`.
+ * Safe to re-run: only documents without html are touched.
+ */
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const { renderMarkdown } = require('../utils/markdown');
+
+const renderAll = async (Model) => {
+    const cursor = Model.find({ html: { $exists: false } })
+        .select('text')
+        .lean()
+        .cursor();
+    let rendered = 0;
+
+    for await (const doc of cursor) {
+        const { html } = await renderMarkdown(doc.text);
+
+        // Bypass the model so edited dates and hooks are left alone
+        await Model.collection.updateOne({ _id: doc._id }, { $set: { html } });
+        rendered += 1;
+    }
+
+    return rendered;
+};
+
+const run = async () => {
+    await connectDB();
+
+    const posts = await renderAll(Post);
+    const comments = await renderAll(Comment);
+
+    console.log(`Rendered ${posts} posts and ${comments} comments.`);
+    await mongoose.disconnect();
+};
+
+run().catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+});
@@ -0,0 +1,136 @@
+/**
+ * Seed the skill taxonomy with common skills and their aliases, then
+ * normalize the skills on existing profiles, adding any the taxonomy
+ * doesn't have yet, and recount them. Run with
+ * `node scripts/seedSkills`. Safe to re-run: aliases are merged into
+ * existing skills.
+ */
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Skill = require('../models/Skill');
+const Profile = require('../models/Profile');
+const Endorsement = require('../models/Endorsement');
+const {
+    skillKey,
+    skillSlug,
+    normalizeSkills,
+    refreshEndorsements,
+} = require('../utils/skills');
+
+// Canonical name followed by aliases
+const SKILLS = [
+    ['JavaScript', 'js', 'ecmascript', 'es6'],
+    ['TypeScript', 'ts'],
+    ['React', 'reactjs'],
+    ['React Native', 'rn'],
+    ['Vue', 'vuejs'],
+    ['Angular', 'angularjs', 'angular2'],
+    ['Svelte'],
+    ['Next.js', 'next'],
+    ['Node.js', 'node'],
+    ['Express', 'expressjs'],
+    ['Deno'],
+    ['HTML', 'html5'],
+    ['CSS', 'css3'],
+    ['Sass', 'scss'],
+    ['Tailwind CSS', 'tailwind'],
+    ['GraphQL', 'gql'],
+    ['Python', 'py', 'python3'],
+    ['Django'],
+    ['Flask'],
+    ['Go', 'golang'],
+    ['Rust'],
+    ['Java'],
+    ['Kotlin'],
+    ['Spring', 'spring boot'],
+    ['Swift'],
+    ['C'],
+    ['C++', 'cpp'],
+    ['C#', 'csharp', 'c sharp'],
+    ['.NET', 'dotnet', 'asp.net'],
+    ['PHP'],
+    ['Laravel'],
+    ['Ruby'],
+    ['Ruby on Rails', 'rails', 'ror'],
+    ['MongoDB', 'mongo'],
+    ['PostgreSQL', 'postgres', 'psql'],
+    ['MySQL'],
+    ['Redis'],
+    ['Docker'],
+    ['Kubernetes', 'k8s'],
+    ['AWS', 'amazon web services'],
+    ['Git'],
+    ['Linux'],
+    ['Machine Learning', 'ml'],
+];
+
+const run = async () => {
+    await connectDB();
+
+    for (const [name, ...aliases] of SKILLS) {
+        const keys = [name, ...aliases].map(skillKey);
+
+        // Fold in skills users created that turn out to be aliases
+        const duplicates = await Skill.find({
+            keys: { $in: keys },
+            name: { $ne: name },
+        });
+        await Skill.deleteMany({ _id: { $in: duplicates.map((s) => s.id) } });
+        await Endorsement.updateMany(
+            { skill: { $in: duplicates.map((s) => s.name) } },
+            { $set: { skill: name } }
+        ).catch((err) => {
+            // Someone endorsed both spellings, the one left over is enough
+            if (err.code !== 11000) throw err;
+        });
+
+        await Skill.updateOne(
+            { name },
+            {
+                $setOnInsert: { slug: skillSlug(name) },
+                $addToSet: { keys: { $each: keys } },
+            },
+            { upsert: true }
+        );
+    }
+
+    const cursor = Profile.find().select('user skills').cursor();
+    let profiles = 0;
+
+    for await (const profile of cursor) {
+        profile.skills = await normalizeSkills(profile.skills, {
+            create: true,
+        });
+        await profile.save({ validateModifiedOnly: true });
+        await refreshEndorsements(profile.user);
+        profiles += 1;
+    }
+
+    // Recount from scratch rather than tracking the changes above
+    const counts = await Profile.aggregate([
+        { $unwind: '$skills' },
+        { $group: { _id: '$skills', count: { $sum: 1 } } },
+    ]);
+
+    await Skill.updateMany({}, { $set: { profileCount: 0 } });
+    if (counts.length) {
+        await Skill.bulkWrite(
+            counts.map(({ _id, count }) => ({
+                updateOne: {
+                    filter: { name: _id },
+                    update: { $set: { profileCount: count } },
+                },
+            }))
+        );
+    }
+
+    console.log(
+        `Seeded ${SKILLS.length} skills, normalized ${profiles} profiles.`
+    );
+    await mongoose.disconnect();
+};
+
+run().catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+});
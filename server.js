@@ -1,11 +1,24 @@
 const express = require('express');
+const config = require('config');
 const connectDB = require('./config/db');
+const realtime = require('./utils/realtime');
+const { getStorage } = require('./utils/storage');
+const { startPurging } = require('./utils/accounts');
+const rateLimit = require('./middleware/rateLimit');
+const errorHandler = require('./middleware/errorHandler');
+const { NotFoundError } = require('./utils/errors');
 
 const app = express();
 
 // Connect to MongoDB
 connectDB();
 
+// Behind a proxy, req.ip comes from X-Forwarded-For. Set to the number of
+// proxies in front of the server, see Express' "trust proxy" setting.
+if (config.has('trustProxy')) {
+    app.set('trust proxy', config.get('trustProxy'));
+}
+
 // Init middleware
 app.use(express.json());
 
@@ -14,11 +27,49 @@ app.get('/', (req, res) => {
     res.send('API Running...');
 });
 
+// Uploaded images, when they're kept on local disk
+const storage = getStorage();
+if (storage.name === 'local') {
+    app.use(storage.publicPath, express.static(storage.dir));
+}
+
+// Read and write budgets per IP. Routes that need tighter limits, or limits
+// per user, add their own.
+app.use('/api', rateLimit());
+
 app.use('/api/users', require('./routes/api/users'));
 app.use('/api/profile', require('./routes/api/profile'));
 app.use('/api/posts', require('./routes/api/posts'));
 app.use('/api/auth', require('./routes/api/auth'));
+app.use('/api/admin', require('./routes/api/admin'));
+app.use('/api/search', require('./routes/api/search'));
+app.use('/api/feed', require('./routes/api/feed'));
+app.use('/api/notifications', require('./routes/api/notifications'));
+app.use('/api/messages', require('./routes/api/messages'));
+app.use('/api/skills', require('./routes/api/skills'));
+app.use('/api/companies', require('./routes/api/companies'));
+app.use('/api/jobs', require('./routes/api/jobs'));
+
+// Unknown API routes answer in the same JSON format as everything else
+app.use('/api', (req, res, next) => {
+    next(
+        new NotFoundError(`No route for ${req.method} ${req.originalUrl}.`, {
+            code: 'route_not_found',
+        })
+    );
+});
+
+// Every error ends up here, see utils/errors for the response format
+app.use(errorHandler);
 
 const PORT = process.env.PORT || 5000;
 
-app.listen(PORT, () => console.log(`Server running on port ${PORT}...`));
+const server = app.listen(PORT, () =>
+    console.log(`Server running on port ${PORT}...`)
+);
+
+// Live notifications and messages over WebSocket at /ws
+realtime.attach(server);
+
+// Purge accounts whose deletion grace period is over
+startPurging();
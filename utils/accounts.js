@@ -0,0 +1,449 @@
+const config = require('config');
+const gravatar = require('gravatar');
+const AdmZip = require('adm-zip');
+
+const User = require('../models/User');
+const Profile = require('../models/Profile');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Revision = require('../models/Revision');
+const FeedItem = require('../models/FeedItem');
+const Flag = require('../models/Flag');
+const Follow = require('../models/Follow');
+const Notification = require('../models/Notification');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Endorsement = require('../models/Endorsement');
+const Company = require('../models/Company');
+const Job = require('../models/Job');
+const Application = require('../models/Application');
+const Session = require('../models/Session');
+const Token = require('../models/Token');
+const { revokeSessions } = require('./session');
+const { deleteComment } = require('./comments');
+const { reactionUpdate } = require('./reactions');
+const { removeImagesLater } = require('./images');
+const { updateSkillCounts, refreshEndorsements } = require('./skills');
+const { buildResume } = require('./resume');
+
+/**
+ * Account deletion. Deleting an account only schedules it: the user is
+ * signed out everywhere and can't sign in, but nothing is removed until the
+ * grace period is over, so the account can still be restored. Then
+ * purgeAccount removes the user and everything they own, or with
+ * `anonymize` keeps their posts and comments under a placeholder name.
+ */
+const deletionConfig = config.has('accountDeletion')
+    ? config.get('accountDeletion')
+    : {};
+
+const graceDays = deletionConfig.graceDays || 14;
+
+// Seconds other processes may go on using a stale list of pending accounts
+const pendingCacheTtl = deletionConfig.pendingCacheTtl || 60;
+
+const DELETED_NAME = 'Deleted user';
+const DELETED_AVATAR = gravatar.url('deleted', { s: '200', d: 'mm', f: 'y' });
+
+// Accounts in their grace period, whose content is hidden meanwhile. Their
+// ids are needed on every read of posts, comments and profiles, so they're
+// kept in memory until a deletion is scheduled, restored or purged here.
+const pendingDeletion = { 'deletion.purgeAt': { $ne: null } };
+
+let pendingCache = null;
+
+const forgetPendingDeletions = () => {
+    pendingCache = null;
+};
+
+/**
+ * The ids of every account scheduled for deletion
+ */
+const pendingDeletionIds = () => {
+    if (!pendingCache || pendingCache.expiresAt <= Date.now()) {
+        const ids = User.distinct('_id', pendingDeletion).then((found) =>
+            found.map((id) => id.toString())
+        );
+
+        pendingCache = { ids, expiresAt: Date.now() + pendingCacheTtl * 1000 };
+
+        // Don't keep a failed lookup around
+        ids.catch(() => {
+            if (pendingCache && pendingCache.ids === ids) {
+                forgetPendingDeletions();
+            }
+        });
+    }
+
+    return pendingCache.ids;
+};
+
+/**
+ * Start the grace period for deleting an account. Resolves to the date the
+ * account will be purged.
+ */
+const scheduleDeletion = async (userId, { anonymize = false } = {}) => {
+    const purgeAt = new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000);
+
+    await User.updateOne(
+        { _id: userId },
+        { $set: { deletion: { requestedAt: new Date(), purgeAt, anonymize } } }
+    );
+    forgetPendingDeletions();
+    await revokeSessions(userId);
+
+    return purgeAt;
+};
+
+/**
+ * Cancel a scheduled deletion
+ */
+const restoreAccount = async (userId) => {
+    const result = await User.updateOne(
+        { _id: userId },
+        { $unset: { deletion: 1 } }
+    );
+
+    forgetPendingDeletions();
+
+    return result;
+};
+
+/**
+ * Whether the user's account is scheduled for deletion
+ */
+const isPendingDeletion = async (userId) =>
+    (await pendingDeletionIds()).includes(userId.toString());
+
+/**
+ * The ids of users on either side of a block with the `viewer` (req.user):
+ * those they blocked and those who blocked them
+ */
+const blockedEitherWay = async (viewer) =>
+    viewer.blocked.concat(
+        (await User.distinct('_id', { blocked: viewer.id })).map((id) =>
+            id.toString()
+        )
+    );
+
+/**
+ * The ids of users whose profiles, posts and comments the `viewer` doesn't
+ * get to see: everyone on either side of a block with them, plus everyone
+ * whose account is scheduled for deletion. Without a viewer only the
+ * latter.
+ */
+const hiddenUsers = async (viewer) =>
+    (viewer ? await blockedEitherWay(viewer) : []).concat(
+        await pendingDeletionIds()
+    );
+
+/**
+ * Whether content by `userId` is hidden from the `viewer`, the same rule as
+ * hiddenUsers for a single user
+ */
+const isHiddenFrom = async (viewer, userId) => {
+    const id = userId.toString();
+
+    return (
+        viewer.blocked.includes(id) ||
+        Boolean(await User.exists({ _id: id, blocked: viewer.id })) ||
+        isPendingDeletion(id)
+    );
+};
+
+/**
+ * Remove the user's posts with everything hanging off them, or keep them
+ * under the placeholder name
+ */
+const purgePosts = async (userId, anonymize) => {
+    if (anonymize) {
+        await Post.updateMany(
+            { user: userId },
+            { $set: { name: DELETED_NAME, avatar: DELETED_AVATAR } }
+        );
+        return;
+    }
+
+    const posts = await Post.find({ user: userId }).select('images').lean();
+    const ids = posts.map((post) => post._id);
+
+    await Comment.deleteMany({ post: { $in: ids } });
+    await Revision.deleteMany({ post: { $in: ids } });
+    await FeedItem.deleteMany({ post: { $in: ids } });
+    await Flag.deleteMany({ post: { $in: ids } });
+    await Notification.deleteMany({ post: { $in: ids } });
+    await Post.deleteMany({ _id: { $in: ids } });
+
+    removeImagesLater(posts.reduce((all, post) => all.concat(post.images), []));
+};
+
+/**
+ * Remove the user's comments elsewhere, keeping threads intact, or keep
+ * them under the placeholder name
+ */
+const purgeComments = async (userId, anonymize) => {
+    if (!anonymize) {
+        const comments = Comment.find({ user: userId }).cursor();
+
+        for await (const comment of comments) {
+            await deleteComment(comment);
+        }
+    }
+
+    // Also covers the tombstones of deleted comments that had replies
+    await Comment.updateMany(
+        { user: userId },
+        { $set: { name: DELETED_NAME, avatar: DELETED_AVATAR } }
+    );
+};
+
+/**
+ * Take back the user's reactions and likes, keeping the counts in step
+ */
+const purgeReactions = async (userId) => {
+    await Post.updateMany({ 'reactions.user': userId }, reactionUpdate(userId));
+    await Comment.updateMany(
+        { 'likes.user': userId },
+        { $pull: { likes: { user: userId } }, $inc: { likeCount: -1 } }
+    );
+};
+
+const purgeFollows = async (userId) => {
+    const following = await Follow.distinct('following', { follower: userId });
+    const followers = await Follow.distinct('follower', { following: userId });
+
+    await User.updateMany(
+        { _id: { $in: following } },
+        { $inc: { followerCount: -1 } }
+    );
+    await User.updateMany(
+        { _id: { $in: followers } },
+        { $inc: { followingCount: -1 } }
+    );
+    await Follow.deleteMany({
+        $or: [{ follower: userId }, { following: userId }],
+    });
+    await FeedItem.deleteMany({
+        $or: [{ owner: userId }, { author: userId }],
+    });
+};
+
+const purgeMessages = async (userId) => {
+    await Message.deleteMany({ user: userId });
+    await Conversation.updateMany(
+        { 'lastMessage.user': userId },
+        { $unset: { lastMessage: 1 } }
+    );
+    await Conversation.updateMany(
+        { 'members.user': userId },
+        { $pull: { members: { user: userId } } }
+    );
+
+    // Nobody is left to read these
+    const empty = await Conversation.distinct('_id', {
+        members: { $size: 0 },
+    });
+
+    await Message.deleteMany({ conversation: { $in: empty } });
+    await Conversation.deleteMany({ _id: { $in: empty } });
+};
+
+const purgeNotifications = async (userId) => {
+    await Notification.deleteMany({ user: userId });
+    await Notification.updateMany(
+        { actorIds: userId },
+        { $pull: { actorIds: userId } }
+    );
+    await Notification.deleteMany({ actorIds: { $size: 0 } });
+};
+
+const purgeEndorsements = async (userId) => {
+    const endorsed = await Endorsement.distinct('user', { endorser: userId });
+
+    await Endorsement.deleteMany({
+        $or: [{ user: userId }, { endorser: userId }],
+    });
+
+    for (const id of endorsed) {
+        await refreshEndorsements(id);
+    }
+};
+
+/**
+ * Leave every company. Companies the user owned pass to another member, or
+ * are removed with their jobs when nobody else is left.
+ */
+const purgeJobs = async (userId) => {
+    const applications = await Application.find({ user: userId }).select('job');
+
+    for (const application of applications) {
+        await Job.updateOne(
+            { _id: application.job },
+            { $inc: { applicationCount: -1 } }
+        );
+    }
+    await Application.deleteMany({ user: userId });
+
+    await Company.updateMany(
+        { members: userId },
+        { $pull: { members: userId } }
+    );
+
+    const owned = await Company.find({ owner: userId });
+
+    for (const company of owned) {
+        if (company.members.length) {
+            company.owner = company.members[0];
+            await company.save();
+        } else {
+            const jobs = await Job.find({ company: company.id }).select('_id');
+
+            await Application.deleteMany({ job: { $in: jobs } });
+            await Job.deleteMany({ company: company.id });
+            await company.remove();
+        }
+    }
+};
+
+/**
+ * Remove an account for good, along with everything the user owns. With
+ * `anonymize` their posts and comments stay up under a placeholder name.
+ */
+const purgeAccount = async (userId, { anonymize = false } = {}) => {
+    const user = await User.findById(userId);
+
+    if (!user) {
+        return;
+    }
+
+    await purgePosts(user._id, anonymize);
+    await purgeComments(user._id, anonymize);
+    await purgeReactions(user._id);
+    await purgeFollows(user._id);
+    await purgeMessages(user._id);
+    await purgeNotifications(user._id);
+    await purgeEndorsements(user._id);
+    await purgeJobs(user._id);
+
+    const profile = await Profile.findOneAndRemove({ user: user._id });
+
+    if (profile) {
+        await updateSkillCounts(profile.skills, []);
+    }
+
+    await Flag.deleteMany({ user: user._id });
+    await Session.deleteMany({ user: user._id });
+    await Token.deleteMany({ user: user._id });
+    await User.updateMany(
+        { blocked: user._id },
+        { $pull: { blocked: user._id } }
+    );
+
+    if (user.avatarImage && user.avatarImage.key) {
+        removeImagesLater([user.avatarImage]);
+    }
+
+    await user.remove();
+    forgetPendingDeletions();
+};
+
+/**
+ * Purge every account whose grace period is over. Resolves to the number
+ * of accounts purged.
+ */
+const purgeDueAccounts = async () => {
+    const due = await User.find({ 'deletion.purgeAt': { $lte: new Date() } })
+        .select('deletion')
+        .lean();
+
+    for (const user of due) {
+        await purgeAccount(user._id, { anonymize: user.deletion.anonymize });
+    }
+
+    return due.length;
+};
+
+/**
+ * Purge due accounts every hour for as long as the process runs
+ */
+const startPurging = () =>
+    setInterval(
+        () => purgeDueAccounts().catch((err) => console.error(err.message)),
+        60 * 60 * 1000
+    ).unref();
+
+const json = (data) => Buffer.from(JSON.stringify(data, null, 2));
+
+/**
+ * A ZIP of everything stored about a user, one JSON file per kind of data
+ */
+const exportAccount = async (userId) => {
+    const user = await User.findById(userId).select('-password').lean();
+    const profile = await Profile.findOne({ user: userId }).populate('user', [
+        'name',
+        'avatar',
+        'email',
+    ]);
+    const posts = await Post.find({ user: userId }).select('-reactions').lean();
+    const reacted = await Post.find({ 'reactions.user': userId })
+        .select('reactions')
+        .lean();
+    const conversations = await Conversation.find({ 'members.user': userId })
+        .select('members name isGroup date')
+        .lean();
+
+    const files = {
+        'account.json': user,
+        'profile.json': profile && profile.toObject(),
+        'resume.json':
+            profile && (await buildResume(profile, userId.toString())),
+        'posts.json': posts,
+        'post-revisions.json': await Revision.find({
+            post: { $in: posts.map((post) => post._id) },
+        }).lean(),
+        'comments.json': await Comment.find({ user: userId }).lean(),
+        'reactions.json': reacted.map((post) => ({
+            post: post._id,
+            ...post.reactions.find(
+                (reaction) => reaction.user.toString() === userId.toString()
+            ),
+        })),
+        'follows.json': await Follow.find({
+            $or: [{ follower: userId }, { following: userId }],
+        }).lean(),
+        'endorsements.json': await Endorsement.find({
+            $or: [{ user: userId }, { endorser: userId }],
+        }).lean(),
+        'conversations.json': conversations,
+        'messages.json': await Message.find({ user: userId }).lean(),
+        'notifications.json': await Notification.find({ user: userId }).lean(),
+        'applications.json': await Application.find({ user: userId }).lean(),
+        'companies.json': await Company.find({ members: userId }).lean(),
+        'flags.json': await Flag.find({ user: userId }).lean(),
+        'sessions.json': await Session.find({ user: userId })
+            .select('-tokenHash')
+            .lean(),
+    };
+
+    const zip = new AdmZip();
+
+    Object.entries(files).forEach(([name, data]) => {
+        if (data) zip.addFile(name, json(data));
+    });
+
+    return zip.toBuffer();
+};
+
+module.exports = {
+    graceDays,
+    scheduleDeletion,
+    restoreAccount,
+    isPendingDeletion,
+    blockedEitherWay,
+    hiddenUsers,
+    isHiddenFrom,
+    purgeAccount,
+    purgeDueAccounts,
+    startPurging,
+    exportAccount,
+};
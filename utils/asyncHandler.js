@@ -0,0 +1,7 @@
+/**
+ * Wrap an async route handler or middleware so a rejection reaches the error
+ * middleware instead of leaving the request hanging. Express 4 doesn't do
+ * this on its own.
+ */
+module.exports = (handler) => (req, res, next) =>
+    Promise.resolve(handler(req, res, next)).catch(next);
@@ -0,0 +1,101 @@
+const CacheEntry = require('../models/CacheEntry');
+
+/**
+ * TTL caches with the same async interface:
+ *
+ *   get(key)  -> { value, etag, expiresAt, fresh } or null
+ *   set(key, value, { ttl, etag, staleTtl })
+ *
+ * Entries stay available as stale for `staleTtl` seconds after they expire,
+ * so callers can fall back to them when the source is down.
+ */
+const DEFAULT_STALE_TTL = 7 * 24 * 60 * 60;
+
+const DEFAULT_MAX_ENTRIES = 1000;
+
+const timestamps = (ttl, staleTtl = DEFAULT_STALE_TTL) => {
+    const now = Date.now();
+
+    return {
+        expiresAt: new Date(now + ttl * 1000),
+        purgeAt: new Date(now + (ttl + staleTtl) * 1000),
+    };
+};
+
+const withFreshness = (entry) =>
+    entry && {
+        value: entry.value,
+        etag: entry.etag,
+        expiresAt: entry.expiresAt,
+        fresh: entry.expiresAt > Date.now(),
+    };
+
+/**
+ * Holds at most `maxEntries`, dropping the least recently used first. Map
+ * keeps insertion order, so entries are moved to the end when used.
+ */
+class MemoryCache {
+    constructor({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+        this.entries = new Map();
+        this.maxEntries = maxEntries;
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+
+        if (!entry) {
+            return null;
+        }
+
+        this.entries.delete(key);
+
+        if (entry.purgeAt <= Date.now()) {
+            return null;
+        }
+
+        this.entries.set(key, entry);
+
+        return withFreshness(entry);
+    }
+
+    async set(key, value, { ttl, etag, staleTtl }) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, etag, ...timestamps(ttl, staleTtl) });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+}
+
+class MongoCache {
+    async get(key) {
+        const entry = await CacheEntry.findOne({
+            key,
+            purgeAt: { $gt: Date.now() },
+        }).lean();
+
+        return withFreshness(entry);
+    }
+
+    async set(key, value, { ttl, etag, staleTtl }) {
+        await CacheEntry.updateOne(
+            { key },
+            { $set: { value, etag, ...timestamps(ttl, staleTtl) } },
+            { upsert: true }
+        );
+    }
+}
+
+/**
+ * Build a cache by name, `memory` or `mongo`. `options` go to the memory
+ * cache, see MemoryCache.
+ */
+const createCache = (type = 'memory', options) =>
+    type === 'mongo' ? new MongoCache() : new MemoryCache(options);
+
+module.exports = {
+    MemoryCache,
+    MongoCache,
+    createCache,
+};
@@ -0,0 +1,33 @@
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+
+/**
+ * Delete a comment and keep the counters on its post and parent in step.
+ * A comment that has replies is blanked instead so the thread stays intact.
+ */
+const deleteComment = async (comment) => {
+    if (comment.replyCount > 0) {
+        comment.deleted = true;
+        comment.text = '[deleted]';
+        comment.html = '<p>[deleted]</p>';
+        comment.edits = [];
+        await comment.save();
+        return comment;
+    }
+
+    await comment.remove();
+    await Post.updateOne({ _id: comment.post }, { $inc: { commentCount: -1 } });
+
+    if (comment.parent) {
+        await Comment.updateOne(
+            { _id: comment.parent },
+            { $inc: { replyCount: -1 } }
+        );
+    }
+
+    return comment;
+};
+
+module.exports = {
+    deleteComment,
+};
@@ -0,0 +1,95 @@
+/**
+ * Errors the API answers with. Handlers throw, or pass to next(), one of the
+ * classes below and middleware/errorHandler turns it into a response. Every
+ * error response has the same shape:
+ *
+ *   {
+ *     "error": {
+ *       "status": 404,
+ *       "code": "not_found",
+ *       "message": "Post not found.",
+ *       "fields": { "text": "Text is required." }
+ *     }
+ *   }
+ *
+ * `code` is stable and meant for clients to branch on, `message` is for
+ * people. `fields` maps request fields to what's wrong with them and is
+ * only there for validation errors; `retryAfter` (seconds, also sent as the
+ * Retry-After header) only for rate limits and lockouts. Anything that isn't
+ * an AppError is a bug and answers 500 with code `internal`.
+ */
+class AppError extends Error {
+    constructor(
+        message,
+        { status = 500, code = 'internal', fields, retryAfter } = {}
+    ) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.fields = fields;
+        this.retryAfter = retryAfter;
+    }
+
+    toJSON() {
+        const error = {
+            status: this.status,
+            code: this.code,
+            message: this.message,
+        };
+
+        if (this.fields) error.fields = this.fields;
+        if (this.retryAfter !== undefined) error.retryAfter = this.retryAfter;
+
+        return { error };
+    }
+}
+
+// Shorthand for the common statuses. Each takes a message and an optional
+// code replacing the default, e.g. new NotFoundError('Post not found.').
+const withStatus = (status, defaultCode) =>
+    class extends AppError {
+        constructor(message, { code = defaultCode, ...options } = {}) {
+            super(message, { ...options, status, code });
+        }
+    };
+
+class BadRequestError extends withStatus(400, 'bad_request') {}
+class AuthenticationError extends withStatus(401, 'unauthenticated') {}
+class ForbiddenError extends withStatus(403, 'forbidden') {}
+class NotFoundError extends withStatus(404, 'not_found') {}
+class ConflictError extends withStatus(409, 'conflict') {}
+class PayloadTooLargeError extends withStatus(413, 'payload_too_large') {}
+class UpstreamError extends withStatus(502, 'upstream_unavailable') {}
+
+/**
+ * The request didn't pass validation. `fields` maps each field to its first
+ * problem.
+ */
+class ValidationError extends AppError {
+    constructor(fields, message = 'Some fields are not valid.') {
+        super(message, { status: 400, code: 'validation_failed', fields });
+    }
+}
+
+/**
+ * Too many requests, or too many failed logins. `retryAfter` is in seconds.
+ */
+class RateLimitError extends AppError {
+    constructor(message, { code = 'rate_limited', retryAfter } = {}) {
+        super(message, { status: 429, code, retryAfter });
+    }
+}
+
+module.exports = {
+    AppError,
+    BadRequestError,
+    AuthenticationError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    PayloadTooLargeError,
+    UpstreamError,
+    ValidationError,
+    RateLimitError,
+};
@@ -0,0 +1,220 @@
+const config = require('config');
+
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Follow = require('../models/Follow');
+const FeedItem = require('../models/FeedItem');
+const { CursorError, MAX_LIMIT } = require('./paginate');
+
+/**
+ * Feeds use a hybrid fan-out. Posts by authors with up to `fanoutLimit`
+ * followers are copied into each follower's feed when written, so reading a
+ * feed is one indexed query. Posts by authors above the limit would make
+ * writes too slow, so those are pulled in when the feed is read instead,
+ * along with posts carrying a followed tag.
+ */
+const feedConfig = config.has('feed') ? config.get('feed') : {};
+
+const fanoutLimit = feedConfig.fanoutLimit || 1000;
+const windowDays = feedConfig.windowDays || 7;
+const candidateLimit = feedConfig.candidateLimit || 500;
+
+const BATCH_SIZE = 500;
+
+const windowStart = (now = Date.now()) =>
+    new Date(now - windowDays * 24 * 60 * 60 * 1000);
+
+const insertItems = async (items) => {
+    if (!items.length) {
+        return;
+    }
+
+    // Duplicates just mean the post was already in that feed
+    await FeedItem.insertMany(items, { ordered: false }).catch((err) => {
+        if (err.code !== 11000) throw err;
+    });
+};
+
+/**
+ * Normalize tags given as an array or comma separated string
+ */
+const normalizeTags = (tags) =>
+    []
+        .concat(typeof tags === 'string' ? tags.split(',') : tags || [])
+        .map((tag) => String(tag).trim().toLowerCase())
+        .filter((tag, i, all) => tag && all.indexOf(tag) === i);
+
+/**
+ * Copy a new post into the feeds of its author's followers, unless the
+ * author has too many followers to do that on write
+ */
+const fanOutPost = async (post) => {
+    const author = await User.findById(post.user).select('followerCount');
+
+    if (!author || author.followerCount > fanoutLimit) {
+        return;
+    }
+
+    const followers = Follow.find({ following: post.user })
+        .select('follower')
+        .lean()
+        .cursor();
+
+    let batch = [];
+
+    for await (const follow of followers) {
+        batch.push({
+            owner: follow.follower,
+            post: post._id,
+            author: post.user,
+            date: post.date,
+        });
+
+        if (batch.length === BATCH_SIZE) {
+            await insertItems(batch);
+            batch = [];
+        }
+    }
+
+    await insertItems(batch);
+};
+
+/**
+ * Put an author's recent posts into a new follower's feed so it doesn't
+ * start out empty
+ */
+const backfillFeed = async (ownerId, authorId) => {
+    const posts = await Post.find({
+        user: authorId,
+        date: { $gte: windowStart() },
+    })
+        .select('_id user date')
+        .lean();
+
+    await insertItems(
+        posts.map((post) => ({
+            owner: ownerId,
+            post: post._id,
+            author: post.user,
+            date: post.date,
+        }))
+    );
+};
+
+/**
+ * Take an author's posts back out of an ex-follower's feed
+ */
+const pruneFeed = (ownerId, authorId) =>
+    FeedItem.deleteMany({ owner: ownerId, author: authorId });
+
+/**
+ * Rank by engagement decayed by age in hours, so fresh posts surface first
+ * and popular ones linger a little longer
+ */
+const rankPost = (post, now) => {
+    const ageHours = (now - post.date) / (60 * 60 * 1000);
+    const engagement = 1 + (post.likeCount || 0) + 2 * (post.commentCount || 0);
+
+    return engagement / Math.pow(ageHours + 2, 1.5);
+};
+
+/**
+ * Gather the candidate posts for a user's feed, ranked best first as of
+ * `now`, leaving out posts by the `blocked` user ids. Only posts from before
+ * `now` count, so posts made since the first page don't shift later ones.
+ */
+const buildFeed = async (userId, now, blocked = []) => {
+    const since = windowStart(now);
+    const until = new Date(now);
+    const follows = await Follow.find({ follower: userId }).lean();
+
+    const tags = follows.filter((f) => f.tag).map((f) => f.tag);
+    const followed = follows.filter((f) => f.following).map((f) => f.following);
+
+    const bigAuthors = (
+        await User.find({
+            _id: { $in: followed },
+            followerCount: { $gt: fanoutLimit },
+        })
+            .select('_id')
+            .lean()
+    ).map((user) => user._id);
+
+    const pushed = await FeedItem.find({
+        owner: userId,
+        date: { $gte: since, $lte: until },
+    })
+        .sort({ date: -1 })
+        .limit(candidateLimit)
+        .select('post')
+        .lean();
+
+    const sources = [
+        { _id: { $in: pushed.map((item) => item.post) } },
+        { user: { $in: bigAuthors.concat(userId) }, date: { $gte: since } },
+    ];
+
+    if (tags.length) {
+        sources.push({ tags: { $in: tags }, date: { $gte: since } });
+    }
+
+    const posts = await Post.find({
+        $or: sources,
+        user: { $nin: blocked },
+        date: { $lte: until },
+    })
+        .sort({ date: -1 })
+        .limit(candidateLimit * 2)
+        .select('-reactions');
+
+    return posts
+        .map((post) => ({ post, score: rankPost(post, now) }))
+        .sort((a, b) => b.score - a.score)
+        .map(({ post }) => post);
+};
+
+const decodeCursor = (cursor) => {
+    try {
+        const { offset, now } = JSON.parse(
+            Buffer.from(cursor, 'base64url').toString()
+        );
+
+        if (!Number.isInteger(offset) || !Number.isInteger(now)) {
+            throw new Error('Bad cursor');
+        }
+
+        return { offset, now };
+    } catch (err) {
+        throw new CursorError('Cursor is not valid.');
+    }
+};
+
+/**
+ * One page of a user's feed as `{ items, nextCursor }`. The cursor pins the
+ * ranking time so later pages are ranked the same way as the first.
+ */
+const pageFeed = async (userId, { limit, cursor, blocked }) => {
+    const pageSize = Math.min(parseInt(limit, 10) || 20, MAX_LIMIT);
+    const { offset, now } = cursor
+        ? decodeCursor(cursor)
+        : { offset: 0, now: Date.now() };
+
+    const posts = await buildFeed(userId, now, blocked);
+    const items = posts.slice(offset, offset + pageSize);
+    const nextCursor =
+        posts.length > offset + pageSize
+            ? Buffer.from(
+                  JSON.stringify({ offset: offset + pageSize, now })
+              ).toString('base64url')
+            : null;
+
+    return { items, nextCursor };
+};
+
+module.exports = {
+    normalizeTags,
+    fanOutPost,
+    backfillFeed,
+    pruneFeed,
+    pageFeed,
+};
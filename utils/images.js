@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const { getStorage } = require('./storage');
+const { BadRequestError } = require('./errors');
+
+// Formats accepted, judged by the file contents rather than its name
+const FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+
+const MAX_DIMENSION = 2048;
+const MAX_PIXELS = 40 * 1000 * 1000;
+
+class ImageError extends BadRequestError {
+    constructor(message) {
+        super(message, { code: 'invalid_image' });
+    }
+}
+
+/**
+ * Re-encode an upload as WebP at most MAX_DIMENSION on its longest side,
+ * plus a square thumbnail. Re-encoding drops EXIF and other metadata; the
+ * EXIF orientation is applied first so photos stay the right way up.
+ */
+const processImage = async (buffer, { thumbnailSize = 200 } = {}) => {
+    let metadata;
+
+    try {
+        metadata = await sharp(buffer, {
+            limitInputPixels: MAX_PIXELS,
+        }).metadata();
+    } catch (err) {
+        throw new ImageError('File is not a supported image.');
+    }
+
+    if (!FORMATS.includes(metadata.format)) {
+        throw new ImageError('Images must be JPEG, PNG, WebP or GIF.');
+    }
+
+    const image = sharp(buffer, { limitInputPixels: MAX_PIXELS }).rotate();
+
+    const { data, info } = await image
+        .clone()
+        .resize(MAX_DIMENSION, MAX_DIMENSION, {
+            fit: 'inside',
+            withoutEnlargement: true,
+        })
+        .webp({ quality: 85 })
+        .toBuffer({ resolveWithObject: true });
+
+    const thumbnail = await image
+        .clone()
+        .resize(thumbnailSize, thumbnailSize, { fit: 'cover' })
+        .webp({ quality: 80 })
+        .toBuffer();
+
+    return { data, thumbnail, width: info.width, height: info.height };
+};
+
+/**
+ * Process an upload and put both sizes into storage under `prefix`
+ */
+const storeImage = async (buffer, prefix, options) => {
+    const storage = getStorage();
+    const { data, thumbnail, width, height } = await processImage(
+        buffer,
+        options
+    );
+    const id = crypto.randomBytes(16).toString('hex');
+    const key = `${prefix}/${id}.webp`;
+    const thumbnailKey = `${prefix}/${id}_thumb.webp`;
+
+    return {
+        key,
+        url: await storage.put(key, data, 'image/webp'),
+        thumbnailKey,
+        thumbnailUrl: await storage.put(thumbnailKey, thumbnail, 'image/webp'),
+        width,
+        height,
+    };
+};
+
+/**
+ * Remove a stored image and its thumbnail
+ */
+const removeImage = async (image) => {
+    const storage = getStorage();
+
+    await Promise.all(
+        [image.key, image.thumbnailKey]
+            .filter(Boolean)
+            .map((key) => storage.remove(key))
+    );
+};
+
+/**
+ * Remove images without failing the request, e.g. after the document that
+ * referenced them is gone
+ */
+const removeImagesLater = (images = []) => {
+    Promise.all(images.map(removeImage)).catch((err) =>
+        console.error(err.message)
+    );
+};
+
+module.exports = {
+    ImageError,
+    processImage,
+    storeImage,
+    removeImage,
+    removeImagesLater,
+};
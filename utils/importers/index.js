@@ -0,0 +1,268 @@
+const zlib = require('zlib');
+const config = require('config');
+const AdmZip = require('adm-zip');
+
+const { normalizeSkills } = require('../skills');
+const { ImportError } = require('./parse');
+const { fromJSONResume } = require('./jsonResume');
+const { fromLinkedIn } = require('./linkedin');
+
+/**
+ * Profile imports. An upload is read into `{ basics, experience, education,
+ * skills, warnings }` and then merged into, or replaces, each section of a
+ * profile.
+ */
+const SECTIONS = ['basics', 'experience', 'education', 'skills'];
+const MODES = ['merge', 'replace', 'skip'];
+
+const BASIC_FIELDS = ['status', 'bio', 'website', 'location', 'githubUsername'];
+
+const importConfig = config.has('imports') ? config.get('imports') : {};
+
+// Limits on ZIP uploads, so a small archive can't inflate to gigabytes
+const maxZipEntries = importConfig.maxZipEntries || 200;
+const maxUnzippedSize = importConfig.maxUnzippedSize || 20 * 1024 * 1024;
+
+const tooLarge = () =>
+    new ImportError(
+        `The ZIP file unpacks to more than ${Math.floor(
+            maxUnzippedSize / (1024 * 1024)
+        )} MB.`
+    );
+
+/**
+ * Unpack one ZIP entry, inflating at most `limit` bytes whatever size the
+ * entry claims to be
+ */
+const readEntry = (entry, limit) => {
+    const { method } = entry.header;
+
+    // Stored entries are no bigger than the upload itself
+    if (method === 0) {
+        return entry.getCompressedData();
+    }
+
+    if (method !== 8) {
+        throw new ImportError('The ZIP file uses unsupported compression.');
+    }
+
+    try {
+        return zlib.inflateRawSync(entry.getCompressedData(), {
+            maxOutputLength: limit,
+        });
+    } catch (err) {
+        if (err.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge();
+        throw new ImportError('The ZIP file could not be read.');
+    }
+};
+
+/**
+ * The CSV files in a LinkedIn export ZIP, within the size limits
+ */
+const readCSVEntries = (buffer) => {
+    let entries;
+
+    try {
+        entries = new AdmZip(buffer).getEntries();
+    } catch (err) {
+        throw new ImportError('The ZIP file could not be read.');
+    }
+
+    if (entries.length > maxZipEntries) {
+        throw new ImportError(
+            `The ZIP file has more than ${maxZipEntries} files.`
+        );
+    }
+
+    const csvEntries = entries.filter((entry) =>
+        /\.csv$/i.test(entry.entryName)
+    );
+
+    // Check the sizes the archive declares before unpacking anything
+    const declared = csvEntries.reduce(
+        (total, entry) => total + entry.header.size,
+        0
+    );
+
+    if (declared > maxUnzippedSize) {
+        throw tooLarge();
+    }
+
+    let remaining = maxUnzippedSize;
+
+    return csvEntries.map((entry) => {
+        const data = readEntry(entry, remaining);
+
+        remaining -= data.length;
+
+        if (remaining < 0) {
+            throw tooLarge();
+        }
+
+        return data.toString('utf8');
+    });
+};
+
+/**
+ * Read an uploaded JSON Resume document, LinkedIn export ZIP or single
+ * LinkedIn CSV file
+ */
+const parseImport = (buffer) => {
+    // ZIP archives start with PK
+    if (buffer[0] === 0x50 && buffer[1] === 0x4b) {
+        return fromLinkedIn(readCSVEntries(buffer));
+    }
+
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+
+    if (/^\s*\{/.test(text)) {
+        try {
+            return fromJSONResume(JSON.parse(text));
+        } catch (err) {
+            if (err instanceof ImportError) throw err;
+            throw new ImportError('The JSON file could not be read.');
+        }
+    }
+
+    return fromLinkedIn([text]);
+};
+
+const month = (date) => (date ? new Date(date).toISOString().slice(0, 7) : '');
+
+// Entries are the same when they match on these, whatever else changed
+const entryKeys = {
+    experience: (e) => `${e.company}|${e.title}|${month(e.from)}`,
+    education: (e) => `${e.school}|${e.degree}|${month(e.from)}`,
+};
+
+const newestFirst = (a, b) => new Date(b.from) - new Date(a.from);
+
+const mergeEntries = (section, existing, imported, mode) => {
+    const key = (entry) => entryKeys[section](entry).toLowerCase();
+    const existingKeys = existing.map(key);
+    const importedKeys = imported.map(key);
+
+    const added = imported.filter(
+        (entry, i) =>
+            !existingKeys.includes(key(entry)) &&
+            importedKeys.indexOf(key(entry)) === i
+    );
+
+    if (mode === 'merge') {
+        return {
+            value: existing.concat(added).sort(newestFirst),
+            change: { mode, added, removed: [] },
+        };
+    }
+
+    // Replaced entries keep their ids so links to them stay valid
+    const value = imported
+        .filter((entry, i) => importedKeys.indexOf(key(entry)) === i)
+        .map((entry) => {
+            const match = existing.find((e) => key(e) === key(entry));
+            return match ? { ...entry, _id: match._id } : entry;
+        });
+
+    return {
+        value: value.sort(newestFirst),
+        change: {
+            mode,
+            added,
+            removed: existing.filter(
+                (entry) => !importedKeys.includes(key(entry))
+            ),
+        },
+    };
+};
+
+const mergeBasics = (profile, basics, mode) => {
+    const value = { social: { ...(profile.social || {}) } };
+    const updated = {};
+
+    const set = (path, from, to) => {
+        if (to && to !== from && (mode === 'replace' || !from)) {
+            updated[path] = { from, to };
+            return to;
+        }
+        return from;
+    };
+
+    BASIC_FIELDS.forEach((field) => {
+        value[field] = set(field, profile[field], basics[field]);
+    });
+
+    Object.entries(basics.social || {}).forEach(([network, url]) => {
+        value.social[network] = set(
+            `social.${network}`,
+            value.social[network],
+            url
+        );
+    });
+
+    return { value, change: { mode, updated } };
+};
+
+/**
+ * Work out the profile fields after an import. `profile` is the current
+ * profile as a plain object ({} when there is none) and `modes` maps each
+ * section to merge (the default), replace or skip. Resolves to
+ * `{ fields, changes }`.
+ */
+const applyImport = async (profile, imported, modes = {}) => {
+    const fields = {};
+    const changes = {};
+
+    const mode = (section) => modes[section] || 'merge';
+
+    if (mode('basics') !== 'skip') {
+        const { value, change } = mergeBasics(
+            profile,
+            imported.basics,
+            mode('basics')
+        );
+        Object.assign(fields, value);
+        changes.basics = change;
+    }
+
+    ['experience', 'education'].forEach((section) => {
+        if (mode(section) === 'skip') return;
+
+        const { value, change } = mergeEntries(
+            section,
+            profile[section] || [],
+            imported[section],
+            mode(section)
+        );
+        fields[section] = value;
+        changes[section] = change;
+    });
+
+    if (mode('skills') !== 'skip') {
+        const current = profile.skills || [];
+        const incoming = await normalizeSkills(imported.skills);
+        const skills =
+            mode('skills') === 'replace'
+                ? incoming
+                : current.concat(
+                      incoming.filter((name) => !current.includes(name))
+                  );
+
+        fields.skills = skills;
+        changes.skills = {
+            mode: mode('skills'),
+            added: skills.filter((name) => !current.includes(name)),
+            removed: current.filter((name) => !skills.includes(name)),
+        };
+    }
+
+    return { fields, changes };
+};
+
+module.exports = {
+    SECTIONS,
+    MODES,
+    ImportError,
+    parseImport,
+    fromJSONResume,
+    applyImport,
+};
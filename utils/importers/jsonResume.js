@@ -0,0 +1,131 @@
+const { ImportError, parseDate, clean } = require('./parse');
+
+/**
+ * Map a JSON Resume (https://jsonresume.org/schema) document onto profile
+ * fields
+ */
+const socialNetworks = [
+    'twitter',
+    'linkedin',
+    'facebook',
+    'instagram',
+    'youtube',
+];
+
+const basicsFrom = (basics = {}) => {
+    const location = basics.location || {};
+    const result = {
+        status: clean(basics.label),
+        bio: clean(basics.summary),
+        website: clean(basics.url || basics.website),
+        location: clean(
+            location.address ||
+                [location.city, location.region, location.countryCode]
+                    .filter(Boolean)
+                    .join(', ')
+        ),
+        social: {},
+    };
+
+    (basics.profiles || []).forEach((profile) => {
+        const network = String(profile.network || '').toLowerCase();
+
+        if (network === 'github' && profile.username) {
+            result.githubUsername = clean(profile.username);
+        } else if (socialNetworks.includes(network) && profile.url) {
+            result.social[network] = clean(profile.url);
+        }
+    });
+
+    return result;
+};
+
+const fromJSONResume = (doc) => {
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+        throw new ImportError('The JSON Resume document is not valid.');
+    }
+
+    const warnings = [];
+
+    const experience = (doc.work || [])
+        .map((job, i) => {
+            const entry = {
+                title: clean(job.position),
+                company: clean(job.name || job.company),
+                location: clean(job.location),
+                from: parseDate(job.startDate),
+                to: parseDate(job.endDate) || undefined,
+                current: !job.endDate,
+                description: clean(
+                    [job.summary, ...(job.highlights || [])]
+                        .filter(Boolean)
+                        .join('\n')
+                ),
+            };
+
+            if (!entry.title || !entry.company || !entry.from) {
+                warnings.push(
+                    `Skipped work entry ${
+                        i + 1
+                    }: it needs a position, company and start date.`
+                );
+                return null;
+            }
+
+            return entry;
+        })
+        .filter(Boolean);
+
+    const education = (doc.education || [])
+        .map((school, i) => {
+            const entry = {
+                school: clean(school.institution),
+                degree: clean(school.studyType),
+                fieldOfStudy: clean(school.area),
+                from: parseDate(school.startDate),
+                to: parseDate(school.endDate) || undefined,
+                current: !school.endDate,
+                description: clean(school.summary),
+            };
+
+            if (
+                !entry.school ||
+                !entry.degree ||
+                !entry.fieldOfStudy ||
+                !entry.from
+            ) {
+                warnings.push(
+                    `Skipped education entry ${
+                        i + 1
+                    }: it needs an institution, study type, area and start date.`
+                );
+                return null;
+            }
+
+            return entry;
+        })
+        .filter(Boolean);
+
+    // Keywords are usually the specific skills, e.g. React under Frontend
+    const skills = (doc.skills || []).reduce(
+        (names, skill) =>
+            names.concat(
+                skill.keywords && skill.keywords.length
+                    ? skill.keywords
+                    : [skill.name]
+            ),
+        []
+    );
+
+    return {
+        basics: basicsFrom(doc.basics),
+        experience,
+        education,
+        skills: skills.map(clean).filter(Boolean),
+        warnings,
+    };
+};
+
+module.exports = {
+    fromJSONResume,
+};
@@ -0,0 +1,139 @@
+const { parse } = require('csv-parse/sync');
+const { ImportError, parseDate, firstURL, clean } = require('./parse');
+
+/**
+ * Map the CSV files from a LinkedIn data export (Profile.csv, Positions.csv,
+ * Education.csv and Skills.csv) onto profile fields. Files are recognised
+ * by their columns, so their names don't matter.
+ */
+const parseCSV = (text) => {
+    try {
+        return parse(text, {
+            bom: true,
+            columns: true,
+            skip_empty_lines: true,
+            relax_column_count: true,
+            trim: true,
+        });
+    } catch (err) {
+        throw new ImportError('The CSV file could not be read.');
+    }
+};
+
+const kindOf = (rows) => {
+    const columns = rows.length ? Object.keys(rows[0]) : [];
+
+    if (columns.includes('Company Name') && columns.includes('Title')) {
+        return 'positions';
+    }
+    if (columns.includes('School Name')) return 'education';
+    if (columns.includes('Headline')) return 'profile';
+    if (columns.length === 1 && columns[0] === 'Name') return 'skills';
+
+    return null;
+};
+
+const fromProfile = ([row = {}]) => ({
+    status: clean(row.Headline),
+    bio: clean(row.Summary),
+    location: clean(row['Geo Location'] || row.Address),
+    website: firstURL(row.Websites),
+    social: {},
+});
+
+const fromPositions = (rows, warnings) =>
+    rows
+        .map((row, i) => {
+            const entry = {
+                title: clean(row.Title),
+                company: clean(row['Company Name']),
+                location: clean(row.Location),
+                from: parseDate(row['Started On']),
+                to: parseDate(row['Finished On']) || undefined,
+                current: !clean(row['Finished On']),
+                description: clean(row.Description),
+            };
+
+            if (!entry.title || !entry.company || !entry.from) {
+                warnings.push(
+                    `Skipped position ${
+                        i + 1
+                    }: it needs a title, company and start date.`
+                );
+                return null;
+            }
+
+            return entry;
+        })
+        .filter(Boolean);
+
+const fromEducation = (rows, warnings) =>
+    rows
+        .map((row, i) => {
+            const degree = clean(row['Degree Name']);
+            const entry = {
+                school: clean(row['School Name']),
+                degree,
+                // Newer exports leave the field of study out
+                fieldOfStudy: clean(row['Field Of Study']) || degree,
+                from: parseDate(row['Start Date']),
+                to: parseDate(row['End Date']) || undefined,
+                current: !clean(row['End Date']),
+                description: clean(row.Notes),
+            };
+
+            if (!entry.school || !entry.degree || !entry.from) {
+                warnings.push(
+                    `Skipped education entry ${
+                        i + 1
+                    }: it needs a school, degree and start date.`
+                );
+                return null;
+            }
+
+            return entry;
+        })
+        .filter(Boolean);
+
+/**
+ * Build the import from the text of one or more LinkedIn CSV files
+ */
+const fromLinkedIn = (files) => {
+    const warnings = [];
+    const result = {
+        basics: { social: {} },
+        experience: [],
+        education: [],
+        skills: [],
+        warnings,
+    };
+    let recognised = 0;
+
+    files.forEach((text) => {
+        const rows = parseCSV(text);
+        const kind = kindOf(rows);
+
+        if (kind) recognised += 1;
+
+        if (kind === 'profile') result.basics = fromProfile(rows);
+        if (kind === 'positions') {
+            result.experience = fromPositions(rows, warnings);
+        }
+        if (kind === 'education') {
+            result.education = fromEducation(rows, warnings);
+        }
+        if (kind === 'skills') {
+            result.skills = rows.map((row) => clean(row.Name)).filter(Boolean);
+        }
+    });
+
+    if (!recognised) {
+        throw new ImportError('No LinkedIn profile data found in the upload.');
+    }
+
+    return result;
+};
+
+module.exports = {
+    fromLinkedIn,
+};
@@ -0,0 +1,72 @@
+const { BadRequestError } = require('../errors');
+
+/**
+ * Helpers shared by the profile importers
+ */
+class ImportError extends BadRequestError {
+    constructor(message) {
+        super(message, { code: 'invalid_import' });
+    }
+}
+
+const MONTHS = [
+    'jan',
+    'feb',
+    'mar',
+    'apr',
+    'may',
+    'jun',
+    'jul',
+    'aug',
+    'sep',
+    'oct',
+    'nov',
+    'dec',
+];
+
+/**
+ * Parse the partial dates resumes use: 2019-04-01, 2019-04, 2019, Apr 2019
+ * or April 2019. Returns null for anything else.
+ */
+const parseDate = (value) => {
+    const text = String(value || '').trim();
+    let match = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(text);
+
+    if (match) {
+        const [, year, month = 1, day = 1] = match;
+        return new Date(Date.UTC(year, month - 1, day));
+    }
+
+    match = /^([a-z]{3})[a-z]*\.? (\d{4})$/i.exec(text);
+
+    if (match && MONTHS.includes(match[1].toLowerCase())) {
+        return new Date(
+            Date.UTC(match[2], MONTHS.indexOf(match[1].toLowerCase()), 1)
+        );
+    }
+
+    return null;
+};
+
+/**
+ * First http(s) URL in a string
+ */
+const firstURL = (text) => {
+    const match = /https?:\/\/[^\s,\]]+/.exec(String(text || ''));
+    return match ? match[0] : undefined;
+};
+
+/**
+ * Trimmed string, or undefined when empty
+ */
+const clean = (value) => {
+    const text = value == null ? '' : String(value).trim();
+    return text || undefined;
+};
+
+module.exports = {
+    ImportError,
+    parseDate,
+    firstURL,
+    clean,
+};
@@ -0,0 +1,66 @@
+const Job = require('../models/Job');
+const Profile = require('../models/Profile');
+
+/**
+ * True when the user can post and manage jobs for a company
+ */
+const isRecruiter = (company, userId) =>
+    company.owner.toString() === userId ||
+    company.members.some((member) => member.toString() === userId);
+
+/**
+ * Aggregation stages ranking documents with a `skills` array by how many of
+ * `skills` they share, most first. `score` is the share of the document's
+ * own skills that matched.
+ */
+const rankBySkills = (skills, { limit, skip }) => [
+    {
+        $addFields: {
+            matchedSkills: { $setIntersection: ['$skills', skills] },
+        },
+    },
+    {
+        $addFields: {
+            matchCount: { $size: '$matchedSkills' },
+            score: {
+                $divide: [
+                    { $size: '$matchedSkills' },
+                    { $max: [{ $size: '$skills' }, 1] },
+                ],
+            },
+        },
+    },
+    { $sort: { matchCount: -1, score: -1, date: -1 } },
+    { $skip: skip },
+    { $limit: limit },
+];
+
+/**
+ * Open jobs sharing skills with a developer's profile, best match first
+ */
+const matchJobs = async (skills, { limit = 20, skip = 0 } = {}) => {
+    const jobs = await Job.aggregate([
+        { $match: { status: 'open', skills: { $in: skills } } },
+        ...rankBySkills(skills, { limit, skip }),
+    ]);
+
+    return Job.populate(jobs, { path: 'company', select: 'name slug' });
+};
+
+/**
+ * Profiles sharing skills with a job, best match first
+ */
+const matchProfiles = async (skills, { limit = 20, skip = 0 } = {}) => {
+    const profiles = await Profile.aggregate([
+        { $match: { skills: { $in: skills } } },
+        ...rankBySkills(skills, { limit, skip }),
+    ]);
+
+    return Profile.populate(profiles, { path: 'user', select: 'name avatar' });
+};
+
+module.exports = {
+    isRecruiter,
+    matchJobs,
+    matchProfiles,
+};
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('config');
+
+const mailConfig = config.has('mail') ? config.get('mail') : {};
+
+const from = mailConfig.from || 'DevConnector <no-reply@devconnector.local>';
+
+const clientURL = config.has('clientURL')
+    ? config.get('clientURL')
+    : 'http://localhost:3000';
+
+/**
+ * A transport is any object with an async `send({ from, to, subject, text })`.
+ * `console` and `file` are stand-ins for local development; anything else is
+ * treated as the path of a module exporting a transport.
+ */
+const transports = {
+    console: {
+        send: async (message) => {
+            console.log(
+                `Mail to ${message.to}: ${message.subject}\n\n${message.text}`
+            );
+        },
+    },
+    file: {
+        send: async (message) => {
+            const dir = mailConfig.dir || path.join(process.cwd(), 'mail');
+            const file = path.join(
+                dir,
+                `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.json`
+            );
+
+            await fs.promises.mkdir(dir, { recursive: true });
+            await fs.promises.writeFile(file, JSON.stringify(message, null, 4));
+        },
+    },
+};
+
+const loadTransport = (name = 'console') =>
+    transports[name] || require(path.resolve(name));
+
+let transport = loadTransport(mailConfig.transport);
+
+/**
+ * Replace the transport at runtime, e.g. from a test
+ */
+const setTransport = (newTransport) => {
+    transport = newTransport;
+};
+
+const sendMail = (message) => transport.send({ from, ...message });
+
+const sendVerificationEmail = (user, token) =>
+    sendMail({
+        to: user.email,
+        subject: 'Verify your DevConnector email',
+        text:
+            `Hi ${user.name},\n\n` +
+            `Confirm your email address by visiting:\n` +
+            `${clientURL}/verify/${token}\n\n` +
+            `This link expires in 24 hours.`,
+    });
+
+const sendPasswordResetEmail = (user, token) =>
+    sendMail({
+        to: user.email,
+        subject: 'Reset your DevConnector password',
+        text:
+            `Hi ${user.name},\n\n` +
+            `Somebody asked to reset your password. If it was you, visit:\n` +
+            `${clientURL}/reset/${token}\n\n` +
+            `This link expires in one hour. If you didn't ask, ignore this email.`,
+    });
+
+module.exports = {
+    sendMail,
+    setTransport,
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+};
@@ -0,0 +1,207 @@
+const MarkdownIt = require('markdown-it');
+const hljs = require('highlight.js');
+const sanitizeHtml = require('sanitize-html');
+
+const Profile = require('../models/Profile');
+const { normalizeTags } = require('./feed');
+
+/**
+ * Markdown for posts and comments. Raw HTML in the source is escaped rather
+ * than rendered, fenced code blocks are highlighted by language, `@someone`
+ * links to the profile with that GitHub username and `#tag` links to the
+ * posts with that tag. The result is sanitized again before it's stored.
+ */
+
+// Client routes the links point at
+const profilePath = (userId) => `/profile/${userId}`;
+const tagPath = (tag) => `/posts?tag=${encodeURIComponent(tag)}`;
+
+// `@name` or `#tag` at the start of a word, so emails and URL fragments
+// don't count
+const REFERENCE = /(^|[^\w@#/])([@#])([A-Za-z0-9][\w+.-]*)/g;
+
+const highlight = (code, language) => {
+    if (language && hljs.getLanguage(language)) {
+        return hljs.highlight(code, { language, ignoreIllegals: true }).value;
+    }
+
+    return ''; // markdown-it escapes the code itself
+};
+
+/**
+ * Split a text token into text and link tokens for every reference in it,
+ * recording the references found in `env`
+ */
+const splitReferences = (token, state, env) => {
+    const tokens = [];
+    const text = token.content;
+    let last = 0;
+    let match;
+
+    REFERENCE.lastIndex = 0;
+
+    while ((match = REFERENCE.exec(text))) {
+        const [, lead, sigil, raw] = match;
+        const name = raw.replace(/[.-]+$/, '');
+        const start = match.index + lead.length;
+        const tag = sigil === '#' ? normalizeTags(name)[0] : null;
+        const userId =
+            sigil === '@' ? env.mentions.get(name.toLowerCase()) : null;
+
+        if (sigil === '#') env.tags.add(tag);
+        if (sigil === '@' && userId === undefined) {
+            env.mentions.set(name.toLowerCase(), null);
+        }
+
+        const href = tag ? tagPath(tag) : userId && profilePath(userId);
+
+        if (!href) {
+            continue;
+        }
+
+        if (start > last) {
+            const before = new state.Token('text', '', 0);
+            before.content = text.slice(last, start);
+            tokens.push(before);
+        }
+
+        const open = new state.Token('link_open', 'a', 1);
+        open.attrs = [
+            ['href', href],
+            ['class', tag ? 'tag' : 'mention'],
+        ];
+        const label = new state.Token('text', '', 0);
+        label.content = sigil + name;
+        const close = new state.Token('link_close', 'a', -1);
+
+        tokens.push(open, label, close);
+        last = start + sigil.length + name.length;
+        REFERENCE.lastIndex = last;
+    }
+
+    if (!tokens.length) {
+        return [token];
+    }
+
+    if (last < text.length) {
+        const after = new state.Token('text', '', 0);
+        after.content = text.slice(last);
+        tokens.push(after);
+    }
+
+    return tokens;
+};
+
+const references = (md) => {
+    md.core.ruler.after('linkify', 'references', (state) => {
+        const env = state.env;
+
+        state.tokens
+            .filter((block) => block.type === 'inline')
+            .forEach((block) => {
+                let inLink = 0;
+
+                block.children = block.children.reduce((children, token) => {
+                    if (token.type === 'link_open') inLink += 1;
+                    if (token.type === 'link_close') inLink -= 1;
+
+                    return children.concat(
+                        token.type === 'text' && !inLink
+                            ? splitReferences(token, state, env)
+                            : [token]
+                    );
+                }, []);
+            });
+    });
+};
+
+const md = new MarkdownIt({
+    html: false,
+    linkify: true,
+    highlight,
+}).use(references);
+
+const sanitizeOptions = {
+    allowedTags: sanitizeHtml.defaults.allowedTags.concat(['img', 'del']),
+    allowedAttributes: {
+        a: ['href', 'class', 'rel'],
+        img: ['src', 'alt', 'title'],
+        code: ['class'],
+        span: ['class'],
+        ol: ['start'],
+        th: ['style'],
+        td: ['style'],
+    },
+    allowedClasses: {
+        a: ['mention', 'tag'],
+        code: ['language-*', 'hljs'],
+        span: ['hljs-*'],
+    },
+    allowedStyles: {
+        '*': { 'text-align': [/^(left|right|center)$/] },
+    },
+    allowedSchemes: ['http', 'https', 'mailto'],
+    transformTags: {
+        a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow noopener' }),
+    },
+};
+
+const newEnv = () => ({ mentions: new Map(), tags: new Set() });
+
+/**
+ * The `@mentions` (lowercased) and `#tags` in a Markdown source, ignoring
+ * any inside code or links
+ */
+const extractReferences = (source) => {
+    const env = newEnv();
+
+    md.parse(source, env);
+
+    return { mentions: [...env.mentions.keys()], tags: [...env.tags] };
+};
+
+/**
+ * Look up the users mentioned by GitHub username, case-insensitively
+ */
+const resolveMentions = async (names) => {
+    const mentions = new Map();
+
+    if (!names.length) {
+        return mentions;
+    }
+
+    const profiles = await Profile.find({ githubUsername: { $in: names } })
+        .collation({ locale: 'en', strength: 2 })
+        .select('user githubUsername')
+        .lean();
+
+    profiles.forEach((profile) =>
+        mentions.set(profile.githubUsername.toLowerCase(), profile.user)
+    );
+
+    return mentions;
+};
+
+/**
+ * Render Markdown to sanitized HTML. Resolves to `{ html, mentions, tags }`
+ * where mentions are the ids of the users linked to.
+ */
+const renderMarkdown = async (source) => {
+    const { mentions: names, tags } = extractReferences(source);
+    const env = newEnv();
+
+    env.mentions = await resolveMentions(names);
+
+    const html = sanitizeHtml(md.render(source, env), sanitizeOptions);
+
+    return {
+        html,
+        mentions: [...env.mentions.values()].filter(Boolean),
+        tags,
+    };
+};
+
+module.exports = {
+    extractReferences,
+    renderMarkdown,
+};
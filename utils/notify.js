@@ -0,0 +1,103 @@
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { emitToUser } = require('./realtime');
+
+const TYPES = Notification.schema.path('type').enumValues;
+
+const verbs = {
+    reaction: 'reacted to your post',
+    comment: 'commented on your post',
+    reply: 'replied to your comment',
+};
+
+/**
+ * Human readable line for a notification, e.g.
+ * "Ann and 4 others reacted to your post"
+ */
+const describe = (notification) => {
+    const others = notification.actorIds.length - 1;
+    const who =
+        others > 0
+            ? `${notification.lastActor.name} and ${others} other${
+                  others > 1 ? 's' : ''
+              }`
+            : notification.lastActor.name;
+
+    return `${who} ${verbs[notification.type]}`;
+};
+
+const toJSON = (notification) => {
+    const { actorIds, ...rest } = notification.toObject();
+
+    return {
+        ...rest,
+        actorCount: actorIds.length,
+        message: describe(notification),
+    };
+};
+
+/**
+ * Record that the `actor` user id did something to `recipient`'s content, grouping it
+ * with any unread notification about the same target, and push the result
+ * to the recipient if they're connected. Never notifies users about their own
+ * actions or about types they have muted.
+ */
+const notify = async ({ recipient, actor, type, post, comment }) => {
+    if (!recipient || recipient.toString() === actor.toString()) {
+        return null;
+    }
+
+    const target = await User.findById(recipient).select('mutedNotifications');
+
+    if (!target || target.mutedNotifications.includes(type)) {
+        return null;
+    }
+
+    const { name, avatar } = await User.findById(actor).select('name avatar');
+
+    const groupKey = `${type}:${comment || post}`;
+
+    const upsert = () =>
+        Notification.findOneAndUpdate(
+            { user: recipient, groupKey, read: false },
+            {
+                $addToSet: { actorIds: actor },
+                $set: {
+                    lastActor: { user: actor, name, avatar },
+                    date: Date.now(),
+                },
+                $setOnInsert: { type, post, comment },
+            },
+            { upsert: true, new: true }
+        );
+
+    let notification;
+
+    try {
+        notification = await upsert();
+    } catch (err) {
+        if (err.code !== 11000) throw err;
+
+        // a concurrent upsert inserted the group first, this one now matches it
+        notification = await upsert();
+    }
+
+    emitToUser(recipient, 'notification', toJSON(notification));
+
+    return notification;
+};
+
+/**
+ * Fire and forget, a failed notification shouldn't fail the request
+ */
+const notifyLater = (event) => {
+    notify(event).catch((err) => console.error(err.message));
+};
+
+module.exports = {
+    TYPES,
+    describe,
+    toJSON,
+    notify,
+    notifyLater,
+};
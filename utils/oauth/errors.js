@@ -0,0 +1,17 @@
+const { AppError } = require('../errors');
+
+/**
+ * Failure signing in through an OAuth provider. `code` is one of
+ * `unknown_provider`, `invalid_state`, `invalid_grant`, `no_email`,
+ * `already_linked`, `not_linked`, `last_login` or `unavailable`; `status` is
+ * the HTTP status to answer with.
+ */
+class OAuthError extends AppError {
+    constructor(code, message, { status = 400 } = {}) {
+        super(message, { status, code });
+    }
+}
+
+module.exports = {
+    OAuthError,
+};
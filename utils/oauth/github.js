@@ -0,0 +1,71 @@
+const { request, exchangeCode, withQuery } = require('./http');
+
+/**
+ * Sign in with GitHub, or GitHub Enterprise given its URLs. GitHub's OAuth
+ * apps aren't OpenID Connect, so the identity comes from the REST API.
+ */
+const createGithubOAuth = ({
+    name = 'github',
+    label = 'GitHub',
+    clientId,
+    clientSecret,
+    baseURL = 'https://github.com',
+    apiURL = 'https://api.github.com',
+    scope = 'read:user user:email',
+}) => {
+    const authorizationURL = async ({ state, redirectURI, codeChallenge }) =>
+        withQuery(`${baseURL}/login/oauth/authorize`, {
+            client_id: clientId,
+            redirect_uri: redirectURI,
+            scope,
+            state,
+            code_challenge: codeChallenge,
+            code_challenge_method: 'S256',
+        });
+
+    const fetchIdentity = async ({ code, redirectURI, codeVerifier }) => {
+        const { access_token: accessToken } = await exchangeCode(
+            `${baseURL}/login/oauth/access_token`,
+            {
+                client_id: clientId,
+                client_secret: clientSecret,
+                code,
+                redirect_uri: redirectURI,
+                code_verifier: codeVerifier,
+            },
+            label
+        );
+        const headers = {
+            Accept: 'application/vnd.github+json',
+            Authorization: `Bearer ${accessToken}`,
+            'user-agent': 'node.js',
+        };
+
+        const user = await request(
+            { method: 'get', url: `${apiURL}/user`, headers },
+            label
+        );
+        const emails = await request(
+            { method: 'get', url: `${apiURL}/user/emails`, headers },
+            label
+        );
+        const primary =
+            emails.find((email) => email.primary && email.verified) ||
+            emails.find((email) => email.verified);
+
+        return {
+            subject: String(user.id),
+            username: user.login,
+            name: user.name || user.login,
+            email: primary ? primary.email : user.email,
+            emailVerified: Boolean(primary),
+            avatar: user.avatar_url,
+        };
+    };
+
+    return { name, label, type: 'github', authorizationURL, fetchIdentity };
+};
+
+module.exports = {
+    createGithubOAuth,
+};
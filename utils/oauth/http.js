@@ -0,0 +1,71 @@
+const axios = require('axios');
+
+const { OAuthError } = require('./errors');
+
+const timeout = 5000;
+
+/**
+ * Make a request to a provider, turning network and server failures into
+ * OAuthErrors. Error responses to the token request come back as
+ * invalid_grant, the code or verifier didn't check out.
+ */
+const request = async (options, label) => {
+    try {
+        const { data } = await axios({ timeout, ...options });
+
+        return data;
+    } catch (err) {
+        if (err.response && err.response.status < 500) {
+            const { data } = err.response;
+
+            throw new OAuthError(
+                'invalid_grant',
+                (data && (data.error_description || data.error)) ||
+                    `${label} refused the request.`
+            );
+        }
+
+        throw new OAuthError('unavailable', `${label} is unavailable.`, {
+            status: 502,
+        });
+    }
+};
+
+/**
+ * Exchange an authorization code for an access token, and an ID token when
+ * the provider speaks OpenID Connect
+ */
+const exchangeCode = async (tokenURL, params, label) => {
+    const data = await request(
+        {
+            method: 'post',
+            url: tokenURL,
+            data: new URLSearchParams(params).toString(),
+            headers: {
+                Accept: 'application/json',
+                'Content-Type': 'application/x-www-form-urlencoded',
+            },
+        },
+        label
+    );
+
+    // GitHub answers bad codes with a 200 and an error field
+    if (!data || data.error || !data.access_token) {
+        throw new OAuthError(
+            'invalid_grant',
+            (data && (data.error_description || data.error)) ||
+                `${label} didn't return an access token.`
+        );
+    }
+
+    return data;
+};
+
+const withQuery = (url, params) =>
+    `${url}${url.includes('?') ? '&' : '?'}${new URLSearchParams(params)}`;
+
+module.exports = {
+    request,
+    exchangeCode,
+    withQuery,
+};
@@ -0,0 +1,335 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('config');
+const gravatar = require('gravatar');
+
+const User = require('../../models/User');
+const Profile = require('../../models/Profile');
+const { OAuthError } = require('./errors');
+const { createGithubOAuth } = require('./github');
+const { createOidcOAuth } = require('./oidc');
+
+/**
+ * Sign in through OAuth providers configured under `oauth`. A provider named
+ * github is GitHub, anything else is OpenID Connect unless it says
+ * otherwise:
+ *
+ *   { "callbackURL": "http://localhost:3000/oauth/callback",
+ *     "providers": {
+ *       "github": { "clientId": "...", "clientSecret": "..." },
+ *       "mock": { "type": "oidc", "label": "Mock", "clientId": "...",
+ *                 "clientSecret": "...", "issuer": "http://localhost:8080" } } }
+ *
+ * Providers send the user back to `<callbackURL>/<provider>` with a code and
+ * state, which the client posts to api/auth/oauth/:provider/callback along
+ * with the client key it got when starting. The state is a signed token, so
+ * nothing is stored between the two steps; the client key ties it to the
+ * client that started, so a provider URL passed to someone else is useless.
+ */
+const oauthConfig = config.has('oauth') ? config.get('oauth') : {};
+
+const callbackURL =
+    oauthConfig.callbackURL || 'http://localhost:3000/oauth/callback';
+
+const stateExpiry = '10m';
+
+const createProvider = (name, options) =>
+    (options.type || (name === 'github' ? 'github' : 'oidc')) === 'github'
+        ? createGithubOAuth({ ...options, name })
+        : createOidcOAuth({ ...options, name });
+
+const providers = {};
+Object.entries(oauthConfig.providers || {}).forEach(([name, options]) => {
+    providers[name] = createProvider(name, options);
+});
+
+/**
+ * Add or replace a provider, e.g. one pointing at a mock server in tests
+ */
+const setProvider = (name, options) => {
+    providers[name] = createProvider(name, options);
+};
+
+/**
+ * The configured providers, for the buttons on the login page
+ */
+const listProviders = () =>
+    Object.values(providers).map(({ name, label, type }) => ({
+        name,
+        label,
+        type,
+    }));
+
+const getProvider = (name) => {
+    if (!Object.prototype.hasOwnProperty.call(providers, name)) {
+        throw new OAuthError('unknown_provider', 'Unknown sign-in provider.', {
+            status: 404,
+        });
+    }
+
+    return providers[name];
+};
+
+const redirectURI = (name) => `${callbackURL}/${name}`;
+
+// The PKCE verifier is derived from the state's nonce with the server
+// secret, so it never leaves the server but needn't be stored either
+const codeVerifier = (nonce) =>
+    crypto
+        .createHmac('sha256', config.get('jwtSecret'))
+        .update(`oauth:${nonce}`)
+        .digest('base64url');
+
+const codeChallenge = (verifier) =>
+    crypto.createHash('sha256').update(verifier).digest('base64url');
+
+const hashClientKey = (clientKey) =>
+    crypto.createHash('sha256').update(String(clientKey)).digest();
+
+/**
+ * The provider URL to send the user to, with the client key to send back
+ * to finishAuthorization. Passing `linkTo` links the account to that user
+ * when they come back instead of logging in. Resolves to `{ url, clientKey }`.
+ */
+const startAuthorization = async (name, { linkTo } = {}) => {
+    const provider = getProvider(name);
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const clientKey = crypto.randomBytes(16).toString('hex');
+    const state = jwt.sign(
+        {
+            oauth: {
+                provider: name,
+                nonce,
+                client: hashClientKey(clientKey).toString('hex'),
+                linkTo: linkTo || undefined,
+            },
+        },
+        config.get('jwtSecret'),
+        { expiresIn: stateExpiry }
+    );
+
+    const url = await provider.authorizationURL({
+        state,
+        nonce,
+        redirectURI: redirectURI(name),
+        codeChallenge: codeChallenge(codeVerifier(nonce)),
+    });
+
+    return { url, clientKey };
+};
+
+/**
+ * Exchange the code the provider sent back for the identity of whoever
+ * signed in. `clientKey` must be the one startAuthorization gave out with
+ * this state. Resolves to `{ identity, linkTo }`.
+ */
+const finishAuthorization = async (name, { code, state, clientKey }) => {
+    const provider = getProvider(name);
+    let decoded;
+
+    try {
+        decoded = jwt.verify(String(state), config.get('jwtSecret')).oauth;
+    } catch (err) {
+        decoded = null;
+    }
+
+    if (
+        !decoded ||
+        decoded.provider !== name ||
+        typeof decoded.client !== 'string' ||
+        !crypto.timingSafeEqual(
+            Buffer.from(decoded.client, 'hex'),
+            hashClientKey(clientKey)
+        )
+    ) {
+        throw new OAuthError(
+            'invalid_state',
+            'Sign-in has expired or was started elsewhere. Try again.'
+        );
+    }
+
+    const identity = await provider.fetchIdentity({
+        code: String(code),
+        nonce: decoded.nonce,
+        redirectURI: redirectURI(name),
+        codeVerifier: codeVerifier(decoded.nonce),
+    });
+
+    return { identity, linkTo: decoded.linkTo || null };
+};
+
+const isGithub = (name) => providers[name] && providers[name].type === 'github';
+
+/**
+ * The username of the GitHub account a user has linked, if any
+ */
+const linkedGithubUsername = async (userId) => {
+    const user = await User.findById(userId).select('identities').lean();
+    const identity =
+        user &&
+        (user.identities || []).find(
+            ({ provider, username }) => isGithub(provider) && username
+        );
+
+    return identity ? identity.username : undefined;
+};
+
+// Fill in the GitHub username on a profile that doesn't have one yet
+const fillGithubUsername = (userId, name, identity) =>
+    isGithub(name) && identity.username
+        ? Profile.updateOne(
+              { user: userId, githubUsername: { $in: [null, ''] } },
+              { $set: { githubUsername: identity.username } }
+          )
+        : null;
+
+/**
+ * Link a provider account to a user. A user has at most one account per
+ * provider, and an account belongs to at most one user.
+ */
+const linkIdentity = async (user, name, identity) => {
+    const label = getProvider(name).label;
+    const owner = await User.findOne({
+        identities: {
+            $elemMatch: { provider: name, subject: identity.subject },
+        },
+    }).select('_id');
+
+    if (owner && !owner._id.equals(user._id)) {
+        throw new OAuthError(
+            'already_linked',
+            `That ${label} account is linked to another user.`,
+            { status: 409 }
+        );
+    }
+
+    const existing = user.identities.find((linked) => linked.provider === name);
+
+    if (existing && existing.subject !== identity.subject) {
+        throw new OAuthError(
+            'already_linked',
+            `Unlink your other ${label} account first.`,
+            { status: 409 }
+        );
+    }
+
+    if (existing) {
+        existing.username = identity.username;
+        existing.email = identity.email;
+    } else {
+        user.identities.push({
+            provider: name,
+            subject: identity.subject,
+            username: identity.username,
+            email: identity.email,
+        });
+    }
+
+    await user.save();
+    await fillGithubUsername(user._id, name, identity);
+
+    return user;
+};
+
+/**
+ * Unlink a provider account, as long as the user has another way to log in
+ */
+const unlinkIdentity = async (user, name) => {
+    const label = getProvider(name).label;
+    const linked = user.identities.find(
+        (identity) => identity.provider === name
+    );
+
+    if (!linked) {
+        throw new OAuthError('not_linked', `No ${label} account is linked.`, {
+            status: 404,
+        });
+    }
+
+    if (!user.password && user.identities.length === 1) {
+        throw new OAuthError(
+            'last_login',
+            'Set a password before unlinking your only way to log in.'
+        );
+    }
+
+    user.identities.pull(linked._id);
+    await user.save();
+
+    return user;
+};
+
+/**
+ * The user a provider identity belongs to. Unknown identities are linked to
+ * the user with the same email when the provider has verified it, and get a
+ * new user otherwise. Resolves to `{ user, created }`.
+ */
+const signIn = async (name, identity) => {
+    const label = getProvider(name).label;
+    let user = await User.findOne({
+        identities: {
+            $elemMatch: { provider: name, subject: identity.subject },
+        },
+    });
+
+    if (user) {
+        return { user, created: false };
+    }
+
+    if (!identity.email) {
+        throw new OAuthError(
+            'no_email',
+            `${label} didn't share an email address with us.`
+        );
+    }
+
+    user = await User.findOne({ email: identity.email });
+
+    if (user) {
+        // Without proof the address is theirs, this could be a takeover
+        if (!identity.emailVerified) {
+            throw new OAuthError(
+                'already_linked',
+                `An account with that email already exists. Log in and link ${label} from your settings.`,
+                { status: 409 }
+            );
+        }
+
+        return {
+            user: await linkIdentity(user, name, identity),
+            created: false,
+        };
+    }
+
+    user = new User({
+        name: identity.name || identity.username || identity.email,
+        email: identity.email,
+        avatar:
+            identity.avatar ||
+            gravatar.url(identity.email, { s: '200', r: 'pg', d: 'mm' }),
+        emailVerified: identity.emailVerified,
+        identities: [
+            {
+                provider: name,
+                subject: identity.subject,
+                username: identity.username,
+                email: identity.email,
+            },
+        ],
+    });
+    await user.save();
+
+    return { user, created: true };
+};
+
+module.exports = {
+    OAuthError,
+    setProvider,
+    listProviders,
+    startAuthorization,
+    finishAuthorization,
+    linkedGithubUsername,
+    linkIdentity,
+    unlinkIdentity,
+    signIn,
+};
@@ -0,0 +1,147 @@
+const jwt = require('jsonwebtoken');
+
+const { OAuthError } = require('./errors');
+const { request, exchangeCode, withQuery } = require('./http');
+
+/**
+ * Sign in with any OpenID Connect provider, found through its discovery
+ * document. The ID token comes straight from the token endpoint over TLS,
+ * so its claims are checked but not its signature (OIDC Core 3.1.3.7).
+ */
+const createOidcOAuth = ({
+    name,
+    label = name,
+    issuer,
+    clientId,
+    clientSecret,
+    scope = 'openid email profile',
+}) => {
+    let discovery = null;
+
+    const discover = () => {
+        if (!discovery) {
+            discovery = request(
+                {
+                    method: 'get',
+                    url: `${issuer.replace(
+                        /\/+$/,
+                        ''
+                    )}/.well-known/openid-configuration`,
+                },
+                label
+            ).catch((err) => {
+                // Try again next time rather than caching the failure
+                discovery = null;
+                throw err;
+            });
+        }
+
+        return discovery;
+    };
+
+    const authorizationURL = async ({
+        state,
+        nonce,
+        redirectURI,
+        codeChallenge,
+    }) => {
+        const { authorization_endpoint: endpoint } = await discover();
+
+        return withQuery(endpoint, {
+            response_type: 'code',
+            client_id: clientId,
+            redirect_uri: redirectURI,
+            scope,
+            state,
+            nonce,
+            code_challenge: codeChallenge,
+            code_challenge_method: 'S256',
+        });
+    };
+
+    const checkIdToken = (idToken, nonce, expectedIssuer) => {
+        const claims = jwt.decode(idToken);
+        const audience = [].concat(claims ? claims.aud : []);
+
+        if (
+            !claims ||
+            claims.iss !== expectedIssuer ||
+            !audience.includes(clientId) ||
+            claims.nonce !== nonce ||
+            (claims.exp && claims.exp * 1000 < Date.now())
+        ) {
+            throw new OAuthError(
+                'invalid_grant',
+                `${label} returned an ID token that isn't valid.`
+            );
+        }
+
+        return claims;
+    };
+
+    const fetchIdentity = async ({
+        code,
+        redirectURI,
+        codeVerifier,
+        nonce,
+    }) => {
+        const config = await discover();
+        const tokens = await exchangeCode(
+            config.token_endpoint,
+            {
+                grant_type: 'authorization_code',
+                client_id: clientId,
+                client_secret: clientSecret,
+                code,
+                redirect_uri: redirectURI,
+                code_verifier: codeVerifier,
+            },
+            label
+        );
+        let claims = tokens.id_token
+            ? checkIdToken(tokens.id_token, nonce, config.issuer)
+            : {};
+
+        if (config.userinfo_endpoint) {
+            const userinfo = await request(
+                {
+                    method: 'get',
+                    url: config.userinfo_endpoint,
+                    headers: { Authorization: `Bearer ${tokens.access_token}` },
+                },
+                label
+            );
+
+            if (claims.sub && userinfo.sub !== claims.sub) {
+                throw new OAuthError(
+                    'invalid_grant',
+                    `${label} returned details for another user.`
+                );
+            }
+
+            claims = { ...claims, ...userinfo };
+        }
+
+        if (!claims.sub) {
+            throw new OAuthError(
+                'invalid_grant',
+                `${label} didn't say who signed in.`
+            );
+        }
+
+        return {
+            subject: String(claims.sub),
+            username: claims.preferred_username,
+            name: claims.name || claims.preferred_username || claims.email,
+            email: claims.email,
+            emailVerified: claims.email_verified === true,
+            avatar: claims.picture,
+        };
+    };
+
+    return { name, label, type: 'oidc', authorizationURL, fetchIdentity };
+};
+
+module.exports = {
+    createOidcOAuth,
+};
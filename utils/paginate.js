@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+const { BadRequestError } = require('./errors');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+class CursorError extends BadRequestError {
+    constructor(message) {
+        super(message, { code: 'invalid_cursor' });
+    }
+}
+
+/**
+ * Cursors are the sort value and id of the last item on the previous page,
+ * base64url encoded so clients treat them as opaque
+ */
+const encodeCursor = (doc, field) => {
+    const value = doc[field];
+
+    return Buffer.from(
+        JSON.stringify({
+            v: value instanceof Date ? value.getTime() : value,
+            d: value instanceof Date,
+            id: doc._id.toString(),
+        })
+    ).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+    try {
+        const { v, d, id } = JSON.parse(
+            Buffer.from(cursor, 'base64url').toString()
+        );
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            throw new Error('Bad id');
+        }
+
+        return {
+            value: d ? new Date(v) : v,
+            id: mongoose.Types.ObjectId(id),
+        };
+    } catch (err) {
+        throw new CursorError('Cursor is not valid.');
+    }
+};
+
+/**
+ * Fetch one page of `Model` matching `filter`, ordered by `sortField`
+ * descending with the id as tie-breaker. Resolves to `{ items, nextCursor }`,
+ * where nextCursor is null on the last page.
+ */
+const paginate = async (
+    Model,
+    { filter = {}, sortField = 'date', limit, cursor, populate }
+) => {
+    const pageSize = Math.min(parseInt(limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+    const query = { ...filter };
+
+    if (cursor) {
+        const after = decodeCursor(cursor);
+
+        query.$and = (query.$and || []).concat({
+            $or: [
+                { [sortField]: { $lt: after.value } },
+                { [sortField]: after.value, _id: { $lt: after.id } },
+            ],
+        });
+    }
+
+    let find = Model.find(query)
+        .sort({ [sortField]: -1, _id: -1 })
+        .limit(pageSize + 1);
+
+    if (populate) {
+        find = find.populate(...populate);
+    }
+
+    const docs = await find;
+    const items = docs.slice(0, pageSize);
+    const nextCursor =
+        docs.length > pageSize
+            ? encodeCursor(items[items.length - 1], sortField)
+            : null;
+
+    return { items, nextCursor };
+};
+
+/**
+ * Build a `{ $gte, $lte }` range from optional `from`/`to` query values
+ */
+const dateRange = (from, to) => {
+    const range = {};
+
+    if (from) range.$gte = new Date(from);
+    if (to) range.$lte = new Date(to);
+
+    return Object.keys(range).length ? range : undefined;
+};
+
+module.exports = {
+    paginate,
+    dateRange,
+    CursorError,
+    MAX_LIMIT,
+};
@@ -0,0 +1,33 @@
+const { createHttpProvider, hostURL } = require('./http');
+
+const DEFAULT_HOST = 'api.bitbucket.org';
+
+/**
+ * Bitbucket Cloud. Usernames are workspace ids.
+ */
+const create = ({ host = DEFAULT_HOST, token } = {}) =>
+    createHttpProvider({
+        name: 'bitbucket',
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+        reposRequest: (username) => ({
+            url: `${hostURL(host)}/2.0/repositories/${encodeURIComponent(
+                username
+            )}`,
+            params: { pagelen: 5, sort: 'created_on' },
+        }),
+        extract: (data) => data.values,
+        // Bitbucket has no stars
+        normalize: (repo) => ({
+            name: repo.name,
+            description: repo.description,
+            stars: null,
+            language: repo.language || null,
+            updatedAt: repo.updated_on,
+            url: repo.links && repo.links.html && repo.links.html.href,
+        }),
+    });
+
+module.exports = {
+    DEFAULT_HOST,
+    create,
+};
@@ -0,0 +1,23 @@
+const { AppError } = require('../errors');
+
+/**
+ * Failure talking to a code-hosting provider. `code` is one of
+ * `not_found`, `rate_limited` or `unavailable`; `retryAt` is set when the
+ * provider said when to come back.
+ */
+class ProviderError extends AppError {
+    constructor(code, message, { status = 502, retryAt } = {}) {
+        super(message, {
+            status,
+            code,
+            retryAfter: retryAt
+                ? Math.max(Math.ceil((retryAt - Date.now()) / 1000), 1)
+                : undefined,
+        });
+        this.retryAt = retryAt;
+    }
+}
+
+module.exports = {
+    ProviderError,
+};
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+const { ProviderError } = require('./errors');
+
+/**
+ * Offline stand-in for a code-hosting provider, for tests and local
+ * development without network access. Seed it with `setRepos` and make it
+ * fail with `setError`.
+ */
+const createFakeProvider = ({ name = 'fake', repos = {} } = {}) => {
+    const data = new Map(Object.entries(repos));
+    const errors = new Map();
+    const calls = [];
+
+    const getRepos = async (username, { etag } = {}) => {
+        calls.push({ username, etag });
+
+        if (errors.has(username)) {
+            const { code, status, retryAt } = errors.get(username);
+            throw new ProviderError(code, `Fake ${code}.`, { status, retryAt });
+        }
+
+        if (!data.has(username)) {
+            throw new ProviderError('not_found', 'No profile found.', {
+                status: 404,
+            });
+        }
+
+        const repoList = data.get(username);
+        const currentEtag = `"${crypto
+            .createHash('sha1')
+            .update(JSON.stringify(repoList))
+            .digest('hex')}"`;
+
+        if (etag === currentEtag) {
+            return { notModified: true, etag };
+        }
+
+        return { notModified: false, repos: repoList, etag: currentEtag };
+    };
+
+    return {
+        name,
+        getRepos,
+        // fixtures are already in the normalized shape
+        normalize: (repo) => ({
+            name: repo.name,
+            description: repo.description || null,
+            stars: repo.stars || 0,
+            language: repo.language || null,
+            updatedAt: repo.updatedAt || null,
+            url: repo.url || null,
+        }),
+        calls,
+        setRepos: (username, repoList) => {
+            data.set(username, repoList);
+            errors.delete(username);
+        },
+        setError: (username, code, { status, retryAt } = {}) => {
+            errors.set(username, { code, status, retryAt });
+        },
+    };
+};
+
+module.exports = {
+    createFakeProvider,
+};
@@ -0,0 +1,29 @@
+const { createHttpProvider, hostURL } = require('./http');
+
+/**
+ * Self-hosted Gitea or Forgejo. There's no sensible default host.
+ */
+const create = ({ host, token } = {}) =>
+    createHttpProvider({
+        name: 'gitea',
+        headers: token ? { Authorization: `token ${token}` } : {},
+        reposRequest: (username) => ({
+            url: `${hostURL(host)}/api/v1/users/${encodeURIComponent(
+                username
+            )}/repos`,
+            params: { limit: 5 },
+        }),
+        normalize: (repo) => ({
+            name: repo.name,
+            description: repo.description,
+            stars: repo.stars_count,
+            language: repo.language || null,
+            updatedAt: repo.updated_at,
+            url: repo.html_url,
+        }),
+    });
+
+module.exports = {
+    DEFAULT_HOST: null,
+    create,
+};
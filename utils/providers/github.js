@@ -0,0 +1,35 @@
+const { createHttpProvider, hostURL } = require('./http');
+
+const DEFAULT_HOST = 'github.com';
+
+/**
+ * GitHub, or GitHub Enterprise when given another host
+ */
+const createGithubProvider = ({ host = DEFAULT_HOST, token, baseURL } = {}) =>
+    createHttpProvider({
+        name: 'github',
+        headers: token ? { Authorization: `token ${token}` } : {},
+        reposRequest: (username) => ({
+            url: `${
+                baseURL ||
+                (host === DEFAULT_HOST
+                    ? 'https://api.github.com'
+                    : `${hostURL(host)}/api/v3`)
+            }/users/${encodeURIComponent(username)}/repos`,
+            params: { per_page: 5, sort: 'created', direction: 'asc' },
+        }),
+        normalize: (repo) => ({
+            name: repo.name,
+            description: repo.description,
+            stars: repo.stargazers_count,
+            language: repo.language,
+            updatedAt: repo.pushed_at || repo.updated_at,
+            url: repo.html_url,
+        }),
+    });
+
+module.exports = {
+    DEFAULT_HOST,
+    create: createGithubProvider,
+    createGithubProvider,
+};
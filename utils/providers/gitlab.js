@@ -0,0 +1,32 @@
+const { createHttpProvider, hostURL } = require('./http');
+
+const DEFAULT_HOST = 'gitlab.com';
+
+/**
+ * GitLab.com or a self-hosted GitLab
+ */
+const create = ({ host = DEFAULT_HOST, token } = {}) =>
+    createHttpProvider({
+        name: 'gitlab',
+        headers: token ? { 'PRIVATE-TOKEN': token } : {},
+        reposRequest: (username) => ({
+            url: `${hostURL(host)}/api/v4/users/${encodeURIComponent(
+                username
+            )}/projects`,
+            params: { per_page: 5, order_by: 'created_at', sort: 'asc' },
+        }),
+        // The project list doesn't include languages
+        normalize: (project) => ({
+            name: project.name,
+            description: project.description,
+            stars: project.star_count,
+            language: null,
+            updatedAt: project.last_activity_at,
+            url: project.web_url,
+        }),
+    });
+
+module.exports = {
+    DEFAULT_HOST,
+    create,
+};
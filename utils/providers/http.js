@@ -0,0 +1,127 @@
+const axios = require('axios');
+
+const { ProviderError } = require('./errors');
+
+/**
+ * Shared plumbing for REST code-hosting providers: conditional requests,
+ * rate-limit tracking and mapping failures onto ProviderError.
+ *
+ * `reposRequest(username)` returns the `{ url, params }` listing a user's
+ * repos and `extract(data)` pulls the repo array out of the response body.
+ * `getRepos` resolves to `{ notModified, repos, etag, rateLimit }`.
+ */
+const createHttpProvider = ({
+    name,
+    headers = {},
+    reposRequest,
+    extract = (data) => data,
+    normalize,
+    timeout = 5000,
+}) => {
+    const label = name.charAt(0).toUpperCase() + name.slice(1);
+
+    // Last rate limit the host reported, shared by every request
+    const rateLimit = { remaining: null, resetAt: null };
+
+    const isLimited = () =>
+        rateLimit.remaining === 0 && rateLimit.resetAt > Date.now();
+
+    const limited = (retryAt) =>
+        new ProviderError('rate_limited', `${label} rate limit hit.`, {
+            status: 429,
+            retryAt,
+        });
+
+    const trackRateLimit = (responseHeaders) => {
+        const remaining =
+            responseHeaders['x-ratelimit-remaining'] ||
+            responseHeaders['ratelimit-remaining'];
+        const reset =
+            responseHeaders['x-ratelimit-reset'] ||
+            responseHeaders['ratelimit-reset'];
+
+        if (remaining !== undefined) {
+            rateLimit.remaining = parseInt(remaining, 10);
+            rateLimit.resetAt = reset ? parseInt(reset, 10) * 1000 : null;
+        }
+    };
+
+    const getRepos = async (username, { etag } = {}) => {
+        if (isLimited()) {
+            throw limited(rateLimit.resetAt);
+        }
+
+        const { url, params } = reposRequest(username);
+        const requestHeaders = { 'user-agent': 'node.js', ...headers };
+
+        if (etag) requestHeaders['If-None-Match'] = etag;
+
+        let response;
+
+        try {
+            response = await axios.get(url, {
+                headers: requestHeaders,
+                params,
+                timeout,
+                validateStatus: () => true,
+            });
+        } catch (err) {
+            throw new ProviderError('unavailable', `${label} is unreachable.`, {
+                status: 503,
+            });
+        }
+
+        const { status } = response;
+        trackRateLimit(response.headers);
+
+        if (status === 304) {
+            return { notModified: true, etag, rateLimit: { ...rateLimit } };
+        }
+
+        if (status === 200) {
+            return {
+                notModified: false,
+                repos: extract(response.data),
+                etag: response.headers.etag,
+                rateLimit: { ...rateLimit },
+            };
+        }
+
+        if (status === 404) {
+            throw new ProviderError('not_found', `No ${name} profile found.`, {
+                status: 404,
+            });
+        }
+
+        // Hosts signal rate limits with 429, GitHub also with 403
+        const retryAfter = response.headers['retry-after'];
+
+        if (status === 429 || (status === 403 && (isLimited() || retryAfter))) {
+            throw limited(
+                retryAfter
+                    ? Date.now() + parseInt(retryAfter, 10) * 1000
+                    : rateLimit.resetAt
+            );
+        }
+
+        throw new ProviderError(
+            'unavailable',
+            `${label} responded with ${status}.`,
+            { status: 502 }
+        );
+    };
+
+    return { name, getRepos, normalize };
+};
+
+/**
+ * Base URL for a host given as `gitlab.example.com` or with a scheme, e.g.
+ * `http://localhost:3001` for a local fixture server
+ */
+const hostURL = (host) =>
+    /^https?:\/\//.test(host) ? host.replace(/\/+$/, '') : `https://${host}`;
+
+module.exports = {
+    createHttpProvider,
+    hostURL,
+};
@@ -0,0 +1,123 @@
+const config = require('config');
+
+/**
+ * Registry of code-hosting adapters. An adapter exports `create({ host,
+ * token })` returning a provider with `getRepos(username, { etag })` and
+ * `normalize(repo)`, plus the `DEFAULT_HOST` used when an account has none.
+ */
+const adapters = {
+    github: require('./github'),
+    gitlab: require('./gitlab'),
+    bitbucket: require('./bitbucket'),
+    gitea: require('./gitea'),
+};
+
+// Self-hosted instances users may add accounts on, with their settings,
+// e.g. { "gitlab.example.com": { "provider": "gitlab", "token": "..." } }.
+// Hosts with a scheme, e.g. "http://localhost:3001", need `fixture: true`.
+const hostConfig = config.has('codeHosts') ? config.get('codeHosts') : {};
+
+// `<adapter>:<host>` -> provider, so rate limits are tracked per host. Only
+// default and configured hosts get one, which keeps it bounded.
+const providers = new Map();
+
+const registerAdapter = (name, adapter) => {
+    adapters[name] = adapter;
+};
+
+const adapterNames = () => Object.keys(adapters);
+
+/**
+ * The host an account is on, lowercase and without `https://` or trailing
+ * slashes, falling back to the adapter's default host
+ */
+const resolveHost = (name, host) =>
+    String(host || (adapters[name] && adapters[name].DEFAULT_HOST) || '')
+        .trim()
+        .toLowerCase()
+        .replace(/^https:\/\//, '')
+        .replace(/\/+$/, '');
+
+/**
+ * Whether the server may fetch repos for an adapter from a host. Only the
+ * adapter's default host and the hosts in `codeHosts` are allowed, so users
+ * can't point the server at internal addresses. Plain http is only allowed
+ * for hosts configured as fixture servers.
+ */
+const isAllowedHost = (name, host) => {
+    const resolved = resolveHost(name, host);
+
+    if (!adapters[name] || !resolved) {
+        return false;
+    }
+
+    if (resolved === adapters[name].DEFAULT_HOST) {
+        return true;
+    }
+
+    const settings = hostConfig[resolved];
+
+    if (!settings || (settings.provider && settings.provider !== name)) {
+        return false;
+    }
+
+    return !/^[a-z]+:\/\//.test(resolved) || Boolean(settings.fixture);
+};
+
+const tokenFor = (name, host) => {
+    if (hostConfig[host] && hostConfig[host].token) {
+        return hostConfig[host].token;
+    }
+
+    // The original single GitHub token still works for github.com
+    if (name === 'github' && host === adapters.github.DEFAULT_HOST) {
+        return config.has('githubPAToken')
+            ? config.get('githubPAToken')
+            : undefined;
+    }
+
+    return undefined;
+};
+
+/**
+ * The provider for an adapter and host, created on first use. Returns null
+ * for unknown adapters and hosts that aren't allowed, see isAllowedHost.
+ */
+const getProvider = (name, host) => {
+    const resolved = resolveHost(name, host);
+    const key = `${name}:${resolved}`;
+
+    // Providers set by setProvider, e.g. fakes, are used as they are
+    if (providers.has(key)) {
+        return providers.get(key);
+    }
+
+    if (!isAllowedHost(name, resolved)) {
+        return null;
+    }
+
+    const provider = adapters[name].create({
+        host: resolved,
+        token: tokenFor(name, resolved),
+    });
+
+    providers.set(key, provider);
+
+    return provider;
+};
+
+/**
+ * Use a given provider for an adapter and host, e.g. a fake in tests
+ */
+const setProvider = (name, host, provider) => {
+    providers.set(`${name}:${resolveHost(name, host)}`, provider);
+};
+
+module.exports = {
+    registerAdapter,
+    adapterNames,
+    resolveHost,
+    isAllowedHost,
+    getProvider,
+    setProvider,
+};
@@ -0,0 +1,122 @@
+const config = require('config');
+
+const { createMemoryStore } = require('./memory');
+const { createRedisStore } = require('./redis');
+
+/**
+ * Request budgets and login lockout, with counters kept in the store picked
+ * by the `rateLimit` config, memory by default:
+ *
+ *   { "store": "redis", "redisUrl": "redis://127.0.0.1:6379",
+ *     "budgets": { "auth": { "max": 20, "windowMs": 900000 } },
+ *     "lockout": { "freeAttempts": 5, "baseMs": 60000, "maxMs": 3600000 } }
+ *
+ * Every store has `incr(key, windowMs)` resolving to `{ count, resetAt }`
+ * for a fixed window started by the first hit, `get(key)` and `reset(key)`.
+ */
+const limitConfig = config.has('rateLimit') ? config.get('rateLimit') : {};
+
+// Requests allowed per window, per user when signed in and per IP otherwise
+const BUDGETS = {
+    // logging in, signing up and password resets
+    auth: { max: 20, windowMs: 15 * 60 * 1000 },
+    // anything that isn't a GET
+    write: { max: 60, windowMs: 60 * 1000 },
+    read: { max: 300, windowMs: 60 * 1000 },
+};
+
+const budgets = {};
+Object.keys(BUDGETS).forEach((name) => {
+    budgets[name] = {
+        ...BUDGETS[name],
+        ...((limitConfig.budgets && limitConfig.budgets[name]) || {}),
+    };
+});
+
+// After `freeAttempts` failed logins in `windowMs` an account is locked for
+// `baseMs`, doubling with every further failure up to `maxMs`
+const lockout = {
+    freeAttempts: 5,
+    baseMs: 60 * 1000,
+    maxMs: 60 * 60 * 1000,
+    windowMs: 24 * 60 * 60 * 1000,
+    ...(limitConfig.lockout || {}),
+};
+
+let store =
+    limitConfig.store === 'redis'
+        ? createRedisStore({ url: limitConfig.redisUrl })
+        : createMemoryStore();
+
+const getStore = () => store;
+
+/**
+ * Swap the store, e.g. for a fresh one in tests
+ */
+const setStore = (newStore) => {
+    store = newStore;
+};
+
+/**
+ * Count a request against a budget. Resolves to the budget's `max` with
+ * the `count` so far and when the window resets.
+ */
+const hit = async (budget, id) => {
+    const { max, windowMs } = budgets[budget];
+    const { count, resetAt } = await store.incr(`${budget}:${id}`, windowMs);
+
+    return { max, count, resetAt };
+};
+
+const failuresKey = (account) => `login-failures:${account}`;
+const lockKey = (account) => `login-lock:${account}`;
+
+/**
+ * Milliseconds until a locked account can try logging in again, 0 when it
+ * isn't locked
+ */
+const lockedFor = async (account) => {
+    const lock = await store.get(lockKey(account));
+
+    return lock ? Math.max(lock.resetAt - Date.now(), 0) : 0;
+};
+
+/**
+ * Record a failed login, locking the account once it has had too many.
+ * Resolves to how long it's locked for, 0 when it isn't.
+ */
+const recordFailure = async (account) => {
+    const { count } = await store.incr(failuresKey(account), lockout.windowMs);
+
+    if (count < lockout.freeAttempts) {
+        return 0;
+    }
+
+    const lockMs = Math.min(
+        lockout.baseMs * 2 ** (count - lockout.freeAttempts),
+        lockout.maxMs
+    );
+
+    await store.reset(lockKey(account));
+    await store.incr(lockKey(account), lockMs);
+
+    return lockMs;
+};
+
+/**
+ * Forget failed logins after a successful one
+ */
+const clearFailures = async (account) => {
+    await store.reset(failuresKey(account));
+    await store.reset(lockKey(account));
+};
+
+module.exports = {
+    budgets,
+    getStore,
+    setStore,
+    hit,
+    lockedFor,
+    recordFailure,
+    clearFailures,
+};
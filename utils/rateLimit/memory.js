@@ -0,0 +1,55 @@
+/**
+ * Keeps counters in this process. Fine for a single server; counters are
+ * lost on restart and not shared between instances.
+ */
+const createMemoryStore = ({ sweepInterval = 60 * 1000 } = {}) => {
+    const counters = new Map();
+
+    const live = (key) => {
+        const counter = counters.get(key);
+
+        if (counter && counter.resetAt <= Date.now()) {
+            counters.delete(key);
+            return null;
+        }
+
+        return counter || null;
+    };
+
+    const incr = async (key, windowMs) => {
+        const counter = live(key) || {
+            count: 0,
+            resetAt: Date.now() + windowMs,
+        };
+
+        counter.count += 1;
+        counters.set(key, counter);
+
+        return { ...counter };
+    };
+
+    const get = async (key) => {
+        const counter = live(key);
+
+        return counter && { ...counter };
+    };
+
+    const reset = async (key) => {
+        counters.delete(key);
+    };
+
+    // Drop expired counters now and then so idle keys don't pile up
+    setInterval(() => {
+        const now = Date.now();
+
+        counters.forEach((counter, key) => {
+            if (counter.resetAt <= now) counters.delete(key);
+        });
+    }, sweepInterval).unref();
+
+    return { name: 'memory', incr, get, reset };
+};
+
+module.exports = {
+    createMemoryStore,
+};
@@ -0,0 +1,60 @@
+const Redis = require('ioredis');
+
+// Count a hit and start the window on the first one, atomically
+const INCR = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then
+    redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return { count, redis.call('PTTL', KEYS[1]) }
+`;
+
+/**
+ * Keeps counters in Redis, or anything speaking its protocol such as
+ * Valkey or KeyDB, so they are shared between instances and survive
+ * restarts. Defaults to a server on localhost.
+ */
+const createRedisStore = ({
+    url = 'redis://127.0.0.1:6379',
+    prefix = 'ratelimit:',
+} = {}) => {
+    const client = new Redis(url, {
+        keyPrefix: prefix,
+        enableOfflineQueue: false,
+        maxRetriesPerRequest: 1,
+    });
+
+    client.defineCommand('hit', { numberOfKeys: 1, lua: INCR });
+    client.on('error', (err) => console.error(`Redis: ${err.message}`));
+
+    const incr = async (key, windowMs) => {
+        const [count, ttl] = await client.hit(key, windowMs);
+
+        return { count, resetAt: Date.now() + Math.max(ttl, 0) };
+    };
+
+    const get = async (key) => {
+        const [count, ttl] = await client
+            .multi()
+            .get(key)
+            .pttl(key)
+            .exec()
+            .then((results) => results.map(([, value]) => value));
+
+        if (count === null || ttl < 0) {
+            return null;
+        }
+
+        return { count: Number(count), resetAt: Date.now() + ttl };
+    };
+
+    const reset = async (key) => {
+        await client.del(key);
+    };
+
+    return { name: 'redis', client, incr, get, reset };
+};
+
+module.exports = {
+    createRedisStore,
+};
@@ -0,0 +1,64 @@
+/**
+ * Reaction types a post can receive, keyed by the name used in the API
+ */
+const REACTIONS = {
+    like: '👍',
+    hooray: '🎉',
+    heart: '❤️',
+    thinking: '🤔',
+    idea: '💡',
+};
+
+const TYPES = Object.keys(REACTIONS);
+
+/**
+ * Aggregation expressions recomputing the per-type counts and the total from
+ * a reactions array expression
+ */
+const countFields = (reactions) => {
+    const fields = { likeCount: { $size: reactions } };
+
+    TYPES.forEach((type) => {
+        fields[`reactionCounts.${type}`] = {
+            $size: {
+                $filter: {
+                    input: reactions,
+                    cond: { $eq: ['$$this.type', type] },
+                },
+            },
+        };
+    });
+
+    return fields;
+};
+
+/**
+ * Update pipeline that replaces a user's reaction with `type`, or removes it
+ * when `type` is null. Running it as a single update keeps the switch and the
+ * counts atomic.
+ */
+const reactionUpdate = (userId, type) => {
+    const others = {
+        $filter: {
+            input: { $ifNull: ['$reactions', []] },
+            cond: { $ne: ['$$this.user', userId] },
+        },
+    };
+    const reactions = type
+        ? {
+              $concatArrays: [
+                  [{ user: userId, type, date: new Date() }],
+                  others,
+              ],
+          }
+        : others;
+
+    return [{ $set: { reactions } }, { $set: countFields('$reactions') }];
+};
+
+module.exports = {
+    REACTIONS,
+    TYPES,
+    countFields,
+    reactionUpdate,
+};
@@ -0,0 +1,133 @@
+const url = require('url');
+const WebSocket = require('ws');
+
+const { authenticate, sessionEvents } = require('./session');
+
+/**
+ * WebSocket hub at /ws. Clients connect with `?token=<access token>` and
+ * exchange JSON messages shaped `{ type, data }`.
+ */
+const PATH = '/ws';
+
+// user id -> open sockets, a user may be connected from several devices
+const sockets = new Map();
+
+// message type -> handler(user, data, socket) for messages from clients
+const handlers = new Map();
+
+const send = (socket, type, data) => {
+    if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ type, data }));
+    }
+};
+
+/**
+ * Push a message to every socket a user has open
+ */
+const emitToUser = (userId, type, data) => {
+    (sockets.get(userId.toString()) || []).forEach((socket) =>
+        send(socket, type, data)
+    );
+};
+
+const isOnline = (userId) => sockets.has(userId.toString());
+
+/**
+ * Close a user's sockets, only those opened with sessionId when given
+ */
+const disconnect = (userId, sessionId) => {
+    (sockets.get(userId.toString()) || []).forEach((socket) => {
+        if (!sessionId || socket.sessionId === sessionId) {
+            socket.close(4001, 'Session has been revoked.');
+        }
+    });
+};
+
+sessionEvents.on('revoke', ({ userId, sessionId }) =>
+    disconnect(userId, sessionId)
+);
+
+/**
+ * Handle a message type sent by clients
+ */
+const onMessage = (type, handler) => {
+    handlers.set(type, handler);
+};
+
+const register = (user, sessionId, socket) => {
+    socket.sessionId = sessionId;
+
+    if (!sockets.has(user.id)) {
+        sockets.set(user.id, new Set());
+    }
+    sockets.get(user.id).add(socket);
+
+    socket.on('close', () => {
+        const open = sockets.get(user.id);
+
+        open.delete(socket);
+        if (!open.size) {
+            sockets.delete(user.id);
+        }
+    });
+
+    socket.on('message', async (raw) => {
+        try {
+            const { type, data } = JSON.parse(raw);
+            const handler = handlers.get(type);
+
+            if (!handler) {
+                return send(socket, 'error', { msg: `Unknown type ${type}` });
+            }
+
+            await handler(user, data || {}, socket);
+        } catch (err) {
+            console.error(err.message);
+            send(socket, 'error', { msg: 'Message could not be handled.' });
+        }
+    });
+};
+
+/**
+ * Attach the hub to the HTTP server returned by app.listen
+ */
+const attach = (server) => {
+    const wss = new WebSocket.Server({ noServer: true });
+
+    server.on('upgrade', async (req, socket, head) => {
+        const { pathname, query } = url.parse(req.url, true);
+
+        if (pathname !== PATH) {
+            return socket.destroy();
+        }
+
+        try {
+            const result = query.token
+                ? await authenticate(query.token)
+                : { status: 401, msg: 'No token. Authorization denied.' };
+
+            if (!result.user) {
+                socket.write(`HTTP/1.1 ${result.status} ${result.msg}\r\n\r\n`);
+                return socket.destroy();
+            }
+
+            wss.handleUpgrade(req, socket, head, (ws) =>
+                register(result.user, result.sessionId, ws)
+            );
+        } catch (err) {
+            console.error(err.message);
+            socket.write('HTTP/1.1 500 Server error.\r\n\r\n');
+            socket.destroy();
+        }
+    });
+
+    return wss;
+};
+
+module.exports = {
+    attach,
+    disconnect,
+    emitToUser,
+    isOnline,
+    onMessage,
+};
@@ -0,0 +1,128 @@
+const config = require('config');
+
+const { createCache } = require('./cache');
+const { ProviderError } = require('./providers/errors');
+const { createFakeProvider } = require('./providers/fake');
+const { getProvider, setProvider, resolveHost } = require('./providers');
+
+const githubConfig = config.has('github') ? config.get('github') : {};
+
+// Seconds repos are served from cache before the host is asked again
+const ttl = githubConfig.cacheTtl || 10 * 60;
+
+const cache = createCache(githubConfig.cache, {
+    maxEntries: githubConfig.cacheMaxEntries,
+});
+
+if (githubConfig.provider === 'fake') {
+    setProvider('github', null, createFakeProvider({ name: 'github' }));
+}
+
+/**
+ * A user's repos on a code host, served from cache while fresh and
+ * revalidated with an ETag once stale. Resolves to `{ repos, source,
+ * provider }` where repos are as the host returns them and source is
+ * `cache`, `origin` or `stale`; stale data is only served when the host
+ * fails. Rejects with a ProviderError when there's nothing to fall back on.
+ */
+const getRepos = async ({ provider: name, host, username }) => {
+    const provider = getProvider(name, host);
+
+    if (!provider) {
+        throw new ProviderError(
+            'not_found',
+            `Unknown code host ${name} ${host || ''}`.trim() + '.',
+            { status: 404 }
+        );
+    }
+
+    const key = `${name}:${resolveHost(
+        name,
+        host
+    )}:repos:${username.toLowerCase()}`;
+    const cached = await cache.get(key);
+
+    if (cached && cached.fresh) {
+        return { repos: cached.value, source: 'cache', provider };
+    }
+
+    try {
+        const result = await provider.getRepos(username, {
+            etag: cached && cached.etag,
+        });
+
+        if (result.notModified) {
+            await cache.set(key, cached.value, { ttl, etag: cached.etag });
+            return { repos: cached.value, source: 'cache', provider };
+        }
+
+        await cache.set(key, result.repos, { ttl, etag: result.etag });
+        return { repos: result.repos, source: 'origin', provider };
+    } catch (err) {
+        // A missing account is an answer, not an outage
+        if (
+            cached &&
+            err instanceof ProviderError &&
+            err.code !== 'not_found'
+        ) {
+            return { repos: cached.value, source: 'stale', provider };
+        }
+
+        throw err;
+    }
+};
+
+/**
+ * A user's github.com repos as GitHub returns them
+ */
+const getGithubRepos = (username) => getRepos({ provider: 'github', username });
+
+/**
+ * Repos across several code accounts in the normalized shape, newest first.
+ * Accounts that fail are reported in `errors` rather than failing the lot.
+ */
+const getAccountRepos = async (accounts) => {
+    const results = await Promise.allSettled(accounts.map(getRepos));
+    const repos = [];
+    const errors = [];
+
+    results.forEach((result, i) => {
+        const { provider, host, username } = accounts[i];
+        const account = {
+            provider,
+            host: resolveHost(provider, host),
+            username,
+        };
+
+        if (result.status === 'rejected') {
+            const err = result.reason;
+
+            if (!(err instanceof ProviderError)) {
+                throw err;
+            }
+
+            errors.push({ ...account, code: err.code, msg: err.message });
+            return;
+        }
+
+        result.value.repos.forEach((repo) => {
+            repos.push({
+                ...account,
+                ...result.value.provider.normalize(repo),
+                stale: result.value.source === 'stale',
+            });
+        });
+    });
+
+    repos.sort(
+        (a, b) => new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0)
+    );
+
+    return { repos, errors };
+};
+
+module.exports = {
+    getRepos,
+    getGithubRepos,
+    getAccountRepos,
+};
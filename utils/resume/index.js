@@ -0,0 +1,52 @@
+const Follow = require('../../models/Follow');
+const { toJSONResume } = require('./jsonResume');
+const { toVCard } = require('./vcard');
+const { TEMPLATES, renderPDF } = require('./pdf');
+
+/**
+ * Resume exports of a profile. Contact fields are included according to the
+ * profile's contactVisibility and who is asking.
+ */
+const FORMATS = ['pdf', 'json-resume', 'vcard'];
+
+// Each level also sees everything visible to the levels before it
+const ACCESS = ['public', 'followers', 'private'];
+
+/**
+ * How much of a profile the viewer (a user id, or undefined when signed
+ * out) gets to see
+ */
+const accessLevel = async (profile, viewerId) => {
+    const ownerId = profile.user._id.toString();
+
+    if (!viewerId) return 'public';
+    if (viewerId === ownerId) return 'private';
+
+    const follows = await Follow.exists({
+        follower: viewerId,
+        following: ownerId,
+    });
+
+    return follows ? 'followers' : 'public';
+};
+
+/**
+ * JSON Resume document for a profile with its user populated
+ */
+const buildResume = async (profile, viewerId) => {
+    const access = ACCESS.indexOf(await accessLevel(profile, viewerId));
+    const settings = profile.contactVisibility || {};
+
+    const visible = (field) =>
+        ACCESS.indexOf(settings[field] || 'private') <= access;
+
+    return toJSONResume(profile, profile.user, visible);
+};
+
+module.exports = {
+    FORMATS,
+    TEMPLATES: Object.keys(TEMPLATES),
+    buildResume,
+    toVCard,
+    renderPDF,
+};
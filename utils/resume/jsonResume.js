@@ -0,0 +1,116 @@
+/**
+ * Build a JSON Resume (https://jsonresume.org/schema) document from a
+ * profile and its user. `visible(field)` says whether a contact field
+ * (email, location, website or social) may be included.
+ */
+const isoDate = (date) => (date ? date.toISOString().slice(0, 10) : undefined);
+
+const socialNetworks = {
+    twitter: 'Twitter',
+    linkedin: 'LinkedIn',
+    facebook: 'Facebook',
+    instagram: 'Instagram',
+    youtube: 'YouTube',
+};
+
+// Drop undefined and empty values so the document stays tidy
+const compact = (object) =>
+    Object.fromEntries(
+        Object.entries(object).filter(
+            ([, value]) =>
+                value !== undefined &&
+                value !== '' &&
+                !(Array.isArray(value) && !value.length)
+        )
+    );
+
+// The GitHub link counts as a social link for contactVisibility
+const profiles = (profile, visible) => {
+    const links = [];
+
+    if (!visible('social')) {
+        return links;
+    }
+
+    if (profile.githubUsername) {
+        links.push({
+            network: 'GitHub',
+            username: profile.githubUsername,
+            url: `https://github.com/${profile.githubUsername}`,
+        });
+    }
+
+    if (profile.social) {
+        Object.entries(socialNetworks).forEach(([key, network]) => {
+            if (profile.social[key]) {
+                links.push({ network, url: profile.social[key] });
+            }
+        });
+    }
+
+    return links;
+};
+
+const toJSONResume = (profile, user, visible) => {
+    const endorsements = new Map(
+        (profile.endorsements || []).map(({ skill, count }) => [skill, count])
+    );
+
+    return {
+        $schema:
+            'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json',
+        basics: compact({
+            name: user.name,
+            label: profile.status,
+            // Gravatar URLs come without a scheme
+            image:
+                user.avatar && user.avatar.startsWith('//')
+                    ? `https:${user.avatar}`
+                    : user.avatar,
+            email: visible('email') ? user.email : undefined,
+            url: visible('website') ? profile.website : undefined,
+            summary: profile.bio,
+            location:
+                visible('location') && profile.location
+                    ? { address: profile.location }
+                    : undefined,
+            profiles: profiles(profile, visible),
+        }),
+        work: profile.experience.map((job) =>
+            compact({
+                name: job.company,
+                position: job.title,
+                location: job.location,
+                startDate: isoDate(job.from),
+                endDate: job.current ? undefined : isoDate(job.to),
+                summary: job.description,
+            })
+        ),
+        education: profile.education.map((school) =>
+            compact({
+                institution: school.school,
+                area: school.fieldOfStudy,
+                studyType: school.degree,
+                startDate: isoDate(school.from),
+                endDate: school.current ? undefined : isoDate(school.to),
+                summary: school.description,
+            })
+        ),
+        skills: profile.skills.map((name) =>
+            compact({
+                name,
+                level: endorsements.has(name)
+                    ? `${endorsements.get(name)} endorsements`
+                    : undefined,
+            })
+        ),
+        meta: {
+            canonical: `/profile/${user._id}`,
+            lastModified: new Date().toISOString(),
+        },
+    };
+};
+
+module.exports = {
+    toJSONResume,
+};
@@ -0,0 +1,183 @@
+const PDFDocument = require('pdfkit');
+
+/**
+ * Printable resume rendered from a JSON Resume document. Templates share
+ * one layout and differ in type and colour.
+ */
+const TEMPLATES = {
+    classic: {
+        regular: 'Times-Roman',
+        bold: 'Times-Bold',
+        italic: 'Times-Italic',
+        accent: '#333333',
+        align: 'center',
+        band: false,
+    },
+    modern: {
+        regular: 'Helvetica',
+        bold: 'Helvetica-Bold',
+        italic: 'Helvetica-Oblique',
+        accent: '#17a2b8',
+        align: 'left',
+        band: true,
+    },
+};
+
+const MONTHS = [
+    'Jan',
+    'Feb',
+    'Mar',
+    'Apr',
+    'May',
+    'Jun',
+    'Jul',
+    'Aug',
+    'Sep',
+    'Oct',
+    'Nov',
+    'Dec',
+];
+
+// 2019-04-01 -> Apr 2019
+const month = (date) =>
+    `${MONTHS[parseInt(date.slice(5, 7), 10) - 1]} ${date.slice(0, 4)}`;
+
+const period = ({ startDate, endDate }) =>
+    `${startDate ? month(startDate) : ''} – ${
+        endDate ? month(endDate) : 'Present'
+    }`;
+
+const header = (doc, basics, template) => {
+    const contact = [
+        basics.email,
+        basics.url,
+        basics.location && basics.location.address,
+    ]
+        .concat((basics.profiles || []).map((profile) => profile.url))
+        .filter(Boolean)
+        .join('  ·  ');
+
+    if (template.band) {
+        doc.rect(0, 0, doc.page.width, 110).fill(template.accent);
+        doc.fillColor('#ffffff');
+    } else {
+        doc.fillColor(template.accent);
+    }
+
+    doc.font(template.bold)
+        .fontSize(24)
+        .text(basics.name, { align: template.align });
+
+    if (basics.label) {
+        doc.font(template.regular)
+            .fontSize(13)
+            .text(basics.label, { align: template.align });
+    }
+
+    if (contact) {
+        doc.fontSize(9).text(contact, { align: template.align });
+    }
+
+    doc.fillColor('#000000');
+    doc.y = Math.max(doc.y, template.band ? 130 : doc.y) + 10;
+
+    if (basics.summary) {
+        doc.font(template.regular).fontSize(10.5).text(basics.summary);
+        doc.moveDown();
+    }
+};
+
+const sectionTitle = (doc, title, template) => {
+    const { left, right } = doc.page.margins;
+
+    doc.moveDown(0.5)
+        .font(template.bold)
+        .fontSize(13)
+        .fillColor(template.accent)
+        .text(title.toUpperCase());
+
+    doc.moveTo(left, doc.y)
+        .lineTo(doc.page.width - right, doc.y)
+        .lineWidth(0.75)
+        .strokeColor(template.accent)
+        .stroke();
+
+    doc.fillColor('#000000').moveDown(0.4);
+};
+
+const entry = (doc, template, { heading, subheading, dates, summary }) => {
+    doc.font(template.bold).fontSize(11).text(heading, { continued: !!dates });
+
+    if (dates) {
+        doc.font(template.regular)
+            .fontSize(9.5)
+            .text(dates, { align: 'right' });
+    }
+
+    if (subheading) {
+        doc.font(template.italic).fontSize(10).text(subheading);
+    }
+
+    if (summary) {
+        doc.font(template.regular).fontSize(10).text(summary);
+    }
+
+    doc.moveDown(0.6);
+};
+
+/**
+ * A PDFKit document for the resume, already ended so it can be piped
+ * straight into a response
+ */
+const renderPDF = (resume, templateName = 'classic') => {
+    const template = TEMPLATES[templateName];
+    const { basics, work = [], education = [], skills = [] } = resume;
+
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: 50,
+        info: { Title: `${basics.name} – Resume`, Author: basics.name },
+    });
+
+    header(doc, basics, template);
+
+    if (work.length) {
+        sectionTitle(doc, 'Experience', template);
+        work.forEach((job) =>
+            entry(doc, template, {
+                heading: job.position,
+                subheading: [job.name, job.location].filter(Boolean).join(', '),
+                dates: period(job),
+                summary: job.summary,
+            })
+        );
+    }
+
+    if (education.length) {
+        sectionTitle(doc, 'Education', template);
+        education.forEach((school) =>
+            entry(doc, template, {
+                heading: school.institution,
+                subheading: `${school.studyType}, ${school.area}`,
+                dates: period(school),
+                summary: school.summary,
+            })
+        );
+    }
+
+    if (skills.length) {
+        sectionTitle(doc, 'Skills', template);
+        doc.font(template.regular)
+            .fontSize(10.5)
+            .text(skills.map((skill) => skill.name).join('  ·  '));
+    }
+
+    doc.end();
+
+    return doc;
+};
+
+module.exports = {
+    TEMPLATES,
+    renderPDF,
+};
@@ -0,0 +1,71 @@
+/**
+ * vCard 3.0 (RFC 2426) contact card built from a JSON Resume document
+ */
+const escape = (value) =>
+    String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/\r\n|\r|\n/g, '\\n')
+        .replace(/([,;])/g, '\\$1');
+
+// Parameter values can't hold separators, keep TYPE=... to a plain word
+const paramValue = (value) =>
+    String(value)
+        .toLowerCase()
+        .replace(/[^a-z0-9-]/g, '');
+
+// Lines longer than 75 octets continue on the next line after a space
+const fold = (line) => {
+    const chunks = [];
+    let chunk = '';
+
+    for (const char of line) {
+        const limit = chunks.length ? 74 : 75;
+
+        if (Buffer.byteLength(chunk + char) > limit) {
+            chunks.push(chunk);
+            chunk = '';
+        }
+        chunk += char;
+    }
+    chunks.push(chunk);
+
+    return chunks.join('\r\n ');
+};
+
+const toVCard = ({ basics, work = [] }) => {
+    const names = basics.name.trim().split(/\s+/);
+    const family = names.length > 1 ? names.pop() : '';
+    const current = work.find((job) => !job.endDate);
+
+    const lines = [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        `FN:${escape(basics.name)}`,
+        `N:${escape(family)};${escape(names.join(' '))};;;`,
+    ];
+
+    if (basics.label) lines.push(`TITLE:${escape(basics.label)}`);
+    if (current) lines.push(`ORG:${escape(current.name)}`);
+    if (basics.email) lines.push(`EMAIL;TYPE=INTERNET:${escape(basics.email)}`);
+    if (basics.url) lines.push(`URL:${escape(basics.url)}`);
+    if (basics.location) {
+        lines.push(`ADR;TYPE=WORK:;;${escape(basics.location.address)};;;;`);
+    }
+    if (basics.image) lines.push(`PHOTO;VALUE=URI:${escape(basics.image)}`);
+
+    (basics.profiles || []).forEach(({ network, url }) => {
+        lines.push(
+            `X-SOCIALPROFILE;TYPE=${paramValue(network)}:${escape(url)}`
+        );
+    });
+
+    if (basics.summary) lines.push(`NOTE:${escape(basics.summary)}`);
+
+    lines.push('END:VCARD');
+
+    return lines.map(fold).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    toVCard,
+};
@@ -0,0 +1,295 @@
+const config = require('config');
+
+const Profile = require('../models/Profile');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+
+/**
+ * Searchable fields per result type with their relevance weight. The text
+ * indexes on the Profile, Post and Comment models use the same weights so
+ * both backends rank results alike.
+ */
+const searchFields = {
+    profile: {
+        skills: 10,
+        status: 5,
+        company: 3,
+        location: 3,
+        'experience.title': 3,
+        bio: 1,
+    },
+    post: {
+        text: 5,
+    },
+    comment: {
+        text: 1,
+    },
+};
+
+const models = {
+    profile: Profile,
+    post: Post,
+    comment: Comment,
+};
+
+const SNIPPET_RADIUS = 60;
+
+const escapeHtml = (text) =>
+    text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split a query into lowercase search terms
+ */
+const tokenize = (q) =>
+    String(q)
+        .toLowerCase()
+        .split(/[^\w+#.-]+/)
+        .map((term) => term.replace(/^[.-]+|[.-]+$/g, ''))
+        .filter(Boolean);
+
+// Match words starting with a term, a cheap stand-in for stemming
+const termPattern = (terms) =>
+    new RegExp(`(^|[^\\w])(${terms.map(escapeRegExp).join('|')})`, 'gi');
+
+/**
+ * Collect the string values at a dotted path, flattening arrays on the way
+ */
+const getValues = (doc, path) =>
+    path.split('.').reduce(
+        (values, key) =>
+            values
+                .map((value) => (value == null ? undefined : value[key]))
+                .reduce((all, value) => all.concat(value), [])
+                .filter((value) => value != null),
+        [doc]
+    );
+
+/**
+ * HTML-escaped excerpt of `text` around its first match, with every match
+ * wrapped in <mark>. Returns null when nothing matches.
+ */
+const highlight = (text, terms) => {
+    const pattern = termPattern(terms);
+    const first = pattern.exec(text);
+
+    if (!first) {
+        return null;
+    }
+
+    const at = first.index + first[1].length;
+    const start = Math.max(0, at - SNIPPET_RADIUS);
+    const end = Math.min(text.length, at + SNIPPET_RADIUS);
+    const excerpt = text.slice(start, end);
+
+    let html = '';
+    let last = 0;
+
+    excerpt.replace(termPattern(terms), (match, lead, term, offset) => {
+        const termAt = offset + lead.length;
+        html += escapeHtml(excerpt.slice(last, termAt));
+        html += `<mark>${escapeHtml(term)}</mark>`;
+        last = termAt + term.length;
+        return match;
+    });
+    html += escapeHtml(excerpt.slice(last));
+
+    return `${start > 0 ? '…' : ''}${html}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Highlighted snippets for every field of `doc` that matches
+ */
+const highlightDocument = (doc, type, terms) => {
+    const highlights = {};
+
+    Object.keys(searchFields[type]).forEach((field) => {
+        const snippets = getValues(doc, field)
+            .map((value) => highlight(String(value), terms))
+            .filter(Boolean);
+
+        if (snippets.length) {
+            highlights[field] = snippets;
+        }
+    });
+
+    return highlights;
+};
+
+/**
+ * Weighted count of term matches across the searchable fields of `doc`
+ */
+const scoreDocument = (doc, type, terms) =>
+    Object.entries(searchFields[type]).reduce(
+        (score, [field, weight]) =>
+            score +
+            getValues(doc, field).reduce(
+                (sum, value) =>
+                    sum +
+                    (String(value).match(termPattern(terms)) || []).length *
+                        weight,
+                0
+            ),
+        0
+    );
+
+const byScore = (a, b) => b.score - a.score;
+
+// Users left out of results of a type: `excludeUsers` (e.g. blocked users)
+// only hides posts and comments, `hiddenUsers` hides profiles too
+const usersToSkip = (type, { excludeUsers = [], hiddenUsers = [] }) =>
+    type === 'profile' ? hiddenUsers : excludeUsers.concat(hiddenUsers);
+
+// A document's user id, whether or not the user is populated
+const userId = (doc) => String((doc.user && doc.user._id) || doc.user);
+
+/**
+ * Pure in-memory search over `{ profile: [...], post: [...], comment: [...] }`
+ * documents. Used in tests and wherever text indexes aren't available.
+ */
+const searchMemory = (collections, options) => {
+    const { q, types, limit, skip = 0 } = options;
+    const terms = tokenize(q);
+    const facets = {};
+    let matches = [];
+
+    Object.keys(searchFields).forEach((type) => {
+        const scored = (collections[type] || [])
+            .filter((doc) => !usersToSkip(type, options).includes(userId(doc)))
+            .map((doc) => ({
+                type,
+                score: scoreDocument(doc, type, terms),
+                doc,
+            }))
+            .filter((result) => result.score > 0);
+
+        facets[type] = scored.length;
+
+        if (types.includes(type)) {
+            matches = matches.concat(scored);
+        }
+    });
+
+    const items = matches
+        .sort(byScore)
+        .slice(skip, skip + limit)
+        .map((result) => ({
+            ...result,
+            highlights: highlightDocument(result.doc, result.type, terms),
+        }));
+
+    return { items, facets };
+};
+
+/**
+ * Search using the MongoDB text indexes on each model
+ */
+const searchMongo = async (options) => {
+    const { q, types, limit, skip = 0 } = options;
+    const terms = tokenize(q);
+    const facets = {};
+    let matches = [];
+
+    await Promise.all(
+        Object.keys(searchFields).map(async (type) => {
+            const text = {
+                $text: { $search: q },
+                user: { $nin: usersToSkip(type, options) },
+            };
+
+            facets[type] = await models[type].countDocuments(text);
+
+            if (!types.includes(type) || !facets[type]) {
+                return;
+            }
+
+            let find = models[type]
+                .find(text, { score: { $meta: 'textScore' } })
+                .sort({ score: { $meta: 'textScore' } })
+                .limit(skip + limit)
+                .lean();
+
+            if (type === 'profile') {
+                find = find.populate('user', ['name', 'avatar']);
+            }
+
+            const docs = await find;
+
+            matches = matches.concat(
+                docs.map(({ score, ...doc }) => ({ type, score, doc }))
+            );
+        })
+    );
+
+    const items = matches
+        .sort(byScore)
+        .slice(skip, skip + limit)
+        .map((result) => ({
+            ...result,
+            highlights: highlightDocument(result.doc, result.type, terms),
+        }));
+
+    return { items, facets };
+};
+
+/**
+ * Load every document and search them in memory, for databases without
+ * text index support. Only suitable for small data sets.
+ */
+const searchLoaded = async (options) => {
+    const collections = {};
+
+    await Promise.all(
+        Object.keys(searchFields).map(async (type) => {
+            let find = models[type].find().lean();
+
+            if (type === 'profile') {
+                find = find.populate('user', ['name', 'avatar']);
+            }
+
+            collections[type] = await find;
+        })
+    );
+
+    return searchMemory(collections, options);
+};
+
+const backends = {
+    mongo: searchMongo,
+    memory: searchLoaded,
+};
+
+let backend =
+    backends[config.has('searchBackend') ? config.get('searchBackend') : ''] ||
+    searchMongo;
+
+/**
+ * Swap the search backend, e.g. for `(options) => searchMemory(fixtures,
+ * options)` in tests
+ */
+const setSearchBackend = (newBackend) => {
+    backend = newBackend;
+};
+
+/**
+ * Search profiles, posts and comments, leaving out posts and comments by
+ * `excludeUsers` ids and everything by `hiddenUsers` ids. Resolves to `{ items, facets }` where items are
+ * `{ type, score, doc, highlights }` ranked by score and facets hold the
+ * number of matches per type.
+ */
+const search = (options) => backend(options);
+
+module.exports = {
+    searchFields,
+    tokenize,
+    highlight,
+    search,
+    searchMemory,
+    searchMongo,
+    setSearchBackend,
+};
@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const jwt = require('jsonwebtoken');
+const config = require('config');
+
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const accessTokenExpiry = config.has('accessTokenExpiry')
+    ? config.get('accessTokenExpiry')
+    : '15m';
+
+const refreshTokenDays = config.has('refreshTokenDays')
+    ? config.get('refreshTokenDays')
+    : 30;
+
+const hashSecret = (secret) =>
+    crypto.createHash('sha256').update(secret).digest('hex');
+
+// emits 'revoke' with `{ userId, sessionId }` so open sockets can be closed,
+// sessionId is undefined when every session was revoked
+const sessionEvents = new EventEmitter();
+
+const newExpiry = () =>
+    new Date(Date.now() + refreshTokenDays * 24 * 60 * 60 * 1000);
+
+/**
+ * Sign a short-lived access token bound to a session
+ */
+const signAccessToken = (userId, sessionId) =>
+    jwt.sign(
+        {
+            user: {
+                id: userId,
+            },
+            sid: sessionId,
+        },
+        config.get('jwtSecret'),
+        { expiresIn: accessTokenExpiry }
+    );
+
+/**
+ * Refresh tokens look like `<session id>.<random secret>`. Only the hash of
+ * the secret is stored, so a database leak can't be replayed.
+ */
+const newSecret = () => crypto.randomBytes(48).toString('hex');
+
+const tokenPair = (session, secret) => ({
+    token: signAccessToken(session.user.toString(), session.id),
+    refreshToken: `${session.id}.${secret}`,
+});
+
+const issueTokens = async (session) => {
+    const secret = newSecret();
+
+    session.tokenHash = hashSecret(secret);
+    session.lastUsedAt = Date.now();
+    session.expiresAt = newExpiry();
+    await session.save();
+
+    return tokenPair(session, secret);
+};
+
+/**
+ * Start a new session for a user and return its token pair
+ */
+const createSession = (userId, req) => {
+    const session = new Session({
+        user: userId,
+        tokenHash: 'pending',
+        userAgent: req.header('user-agent'),
+        ip: req.ip,
+        expiresAt: newExpiry(),
+    });
+
+    return issueTokens(session);
+};
+
+/**
+ * Exchange a refresh token for a new token pair. Presenting a token that has
+ * already been rotated means it was copied, so the whole session is revoked.
+ * Resolves to null when the token can't be used.
+ */
+const rotateSession = async (refreshToken) => {
+    const [sessionId, secret] = String(refreshToken).split('.');
+
+    if (!secret || !sessionId.match(/^[0-9a-fA-F]{24}$/)) {
+        return null;
+    }
+
+    const live = {
+        _id: sessionId,
+        revokedAt: null,
+        expiresAt: { $gt: Date.now() },
+    };
+    const next = newSecret();
+
+    // Swap the hash only while it still matches, so of two requests with
+    // the same token just one gets new tokens and the other counts as reuse
+    const session = await Session.findOneAndUpdate(
+        { ...live, tokenHash: hashSecret(secret) },
+        {
+            $set: {
+                tokenHash: hashSecret(next),
+                lastUsedAt: Date.now(),
+                expiresAt: newExpiry(),
+            },
+        },
+        { new: true }
+    );
+
+    if (session) {
+        return tokenPair(session, next);
+    }
+
+    const reused = await Session.findOne(live).select('user');
+
+    if (reused) {
+        await revokeSessions(reused.user, reused.id);
+    }
+
+    return null;
+};
+
+/**
+ * Revoke one session, or every session the user has when sessionId is omitted
+ */
+const revokeSessions = async (userId, sessionId) => {
+    const filter = { user: userId, revokedAt: null };
+
+    if (sessionId) {
+        filter._id = sessionId;
+    }
+
+    const result = await Session.updateMany(filter, {
+        $set: { revokedAt: Date.now() },
+    });
+
+    sessionEvents.emit('revoke', {
+        userId: userId.toString(),
+        sessionId: sessionId && sessionId.toString(),
+    });
+
+    return result;
+};
+
+/**
+ * Check an access token, its session and the account behind it. Resolves to
+ * `{ user, sessionId }`, or to `{ status, code, msg }` when access is
+ * refused, see utils/errors for the codes.
+ */
+const authenticate = async (token) => {
+    let decoded;
+
+    try {
+        decoded = jwt.verify(token, config.get('jwtSecret'));
+    } catch (err) {
+        return {
+            status: 401,
+            code: 'token_invalid',
+            msg: 'Token is not valid.',
+        };
+    }
+
+    // check the session behind the token hasn't been revoked
+    const session = await Session.findById(decoded.sid);
+
+    if (!session || session.revokedAt) {
+        return {
+            status: 401,
+            code: 'session_revoked',
+            msg: 'Session has been revoked.',
+        };
+    }
+
+    const user = await User.findById(decoded.user.id).select(
+        'role emailVerified banned suspendedUntil blocked deletion'
+    );
+
+    if (!user) {
+        return {
+            status: 401,
+            code: 'user_gone',
+            msg: 'User no longer exists.',
+        };
+    }
+
+    // check the account hasn't been banned or suspended
+    if (user.banned) {
+        return {
+            status: 403,
+            code: 'account_banned',
+            msg: 'Account has been banned.',
+        };
+    }
+
+    if (user.suspendedUntil && user.suspendedUntil > Date.now()) {
+        return {
+            status: 403,
+            code: 'account_suspended',
+            msg: `Account suspended until ${user.suspendedUntil.toISOString()}.`,
+        };
+    }
+
+    if (user.deletion && user.deletion.purgeAt) {
+        return {
+            status: 403,
+            code: 'account_pending_deletion',
+            msg: 'Account is scheduled for deletion.',
+        };
+    }
+
+    return {
+        user: {
+            id: user.id,
+            role: user.role,
+            emailVerified: user.emailVerified,
+            blocked: user.blocked.map((id) => id.toString()),
+        },
+        sessionId: decoded.sid,
+    };
+};
+
+module.exports = {
+    authenticate,
+    createSession,
+    rotateSession,
+    revokeSessions,
+    sessionEvents,
+};
@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const Skill = require('../models/Skill');
+const Profile = require('../models/Profile');
+const Endorsement = require('../models/Endorsement');
+
+/**
+ * Skills on profiles are canonical names from the Skill collection, so
+ * "React", "react.js" and "ReactJS" all end up as React. Skills are matched
+ * on their key: lowercase with spaces, dots, dashes and underscores dropped.
+ * Names that match no skill are kept as written; skills are only added to
+ * the taxonomy by admins with POST api/admin/skills and by scripts/seedSkills.
+ */
+const skillKey = (name) =>
+    String(name)
+        .trim()
+        .toLowerCase()
+        .replace(/[\s._-]+/g, '');
+
+/**
+ * URL-safe version of a name, e.g. c-sharp for C# and node-js for Node.js
+ */
+const skillSlug = (name) =>
+    String(name)
+        .trim()
+        .toLowerCase()
+        .replace(/\+/g, '-plus')
+        .replace(/#/g, '-sharp')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+
+/**
+ * Split skills given as an array or comma separated string
+ */
+const splitSkills = (skills) =>
+    []
+        .concat(typeof skills === 'string' ? skills.split(',') : skills || [])
+        .map((skill) => String(skill).trim())
+        .filter(Boolean);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * The known skill a name refers to, or null. "vuejs" also finds Vue when
+ * nobody has listed it as an alias.
+ */
+const findSkill = async (name) => {
+    const key = skillKey(name);
+
+    if (!key) {
+        return null;
+    }
+
+    const skill = await Skill.findOne({ keys: key });
+
+    if (skill || !/js$/.test(key) || key.length < 4) {
+        return skill;
+    }
+
+    return Skill.findOne({ keys: key.slice(0, -2) });
+};
+
+/**
+ * The skill a name refers to, adding it to the taxonomy if it's new
+ */
+const resolveSkill = async (name) => {
+    const existing = await findSkill(name);
+
+    if (existing) {
+        return existing;
+    }
+
+    const fields = { name: name.trim(), keys: [skillKey(name)] };
+
+    try {
+        return await new Skill({ ...fields, slug: skillSlug(name) }).save();
+    } catch (err) {
+        if (err.code !== 11000) throw err;
+    }
+
+    // Someone added it at the same time, or another skill has that slug
+    return (
+        (await findSkill(name)) ||
+        new Skill({
+            ...fields,
+            slug: `${skillSlug(name)}-${crypto.randomBytes(2).toString('hex')}`,
+        }).save()
+    );
+};
+
+/**
+ * Canonical names for the given skills, without duplicates. Unknown skills
+ * keep their name and are only added to the taxonomy with `create` on.
+ */
+const normalizeSkills = async (skills, { create = false } = {}) => {
+    const names = [];
+
+    for (const name of splitSkills(skills)) {
+        const skill = create ? await resolveSkill(name) : await findSkill(name);
+        const canonical = skill ? skill.name : name;
+
+        if (!names.includes(canonical)) {
+            names.push(canonical);
+        }
+    }
+
+    return names;
+};
+
+/**
+ * Keep the per-skill profile counts in step when a profile's skills change
+ */
+const updateSkillCounts = async (before = [], after = []) => {
+    const added = after.filter((name) => !before.includes(name));
+    const removed = before.filter((name) => !after.includes(name));
+
+    if (added.length) {
+        await Skill.updateMany(
+            { name: { $in: added } },
+            { $inc: { profileCount: 1 } }
+        );
+    }
+
+    if (removed.length) {
+        await Skill.updateMany(
+            { name: { $in: removed } },
+            { $inc: { profileCount: -1 } }
+        );
+    }
+};
+
+/**
+ * Skills whose name or an alias starts with `prefix`, most used first
+ */
+const suggestSkills = (prefix, limit = 10) =>
+    Skill.find({ keys: new RegExp(`^${escapeRegExp(skillKey(prefix))}`) })
+        .sort({ profileCount: -1, name: 1 })
+        .limit(limit)
+        .select('name slug profileCount');
+
+/**
+ * Recount the endorsements shown on a user's profile. Endorsements of skills
+ * no longer on the profile are kept but not shown.
+ */
+const refreshEndorsements = async (userId) => {
+    const profile = await Profile.findOne({ user: userId }).select('skills');
+
+    if (!profile) {
+        return null;
+    }
+
+    const counts = await Endorsement.aggregate([
+        {
+            $match: {
+                user: mongoose.Types.ObjectId(userId.toString()),
+                skill: { $in: profile.skills },
+            },
+        },
+        { $group: { _id: '$skill', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+    ]);
+
+    const endorsements = counts.map(({ _id, count }) => ({
+        skill: _id,
+        count,
+    }));
+
+    await Profile.updateOne({ _id: profile.id }, { $set: { endorsements } });
+
+    return endorsements;
+};
+
+module.exports = {
+    skillKey,
+    skillSlug,
+    splitSkills,
+    findSkill,
+    resolveSkill,
+    normalizeSkills,
+    updateSkillCounts,
+    suggestSkills,
+    refreshEndorsements,
+};
@@ -0,0 +1,35 @@
+const config = require('config');
+
+const { createLocalStorage } = require('./local');
+const { createS3Storage } = require('./s3');
+
+/**
+ * File storage picked by the `storage` config, local disk by default:
+ *
+ *   { "backend": "local", "dir": "uploads" }
+ *   { "backend": "s3", "bucket": "...", "endpoint": "http://localhost:9000",
+ *     "accessKeyId": "...", "secretAccessKey": "..." }
+ *
+ * Every backend has `put(key, buffer, contentType)` resolving to a public
+ * URL, `remove(key)` and `url(key)`.
+ */
+const storageConfig = config.has('storage') ? config.get('storage') : {};
+
+let storage =
+    storageConfig.backend === 's3'
+        ? createS3Storage(storageConfig)
+        : createLocalStorage(storageConfig);
+
+const getStorage = () => storage;
+
+/**
+ * Swap the backend, e.g. for a temporary directory in tests
+ */
+const setStorage = (newStorage) => {
+    storage = newStorage;
+};
+
+module.exports = {
+    getStorage,
+    setStorage,
+};
@@ -0,0 +1,43 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Stores files on local disk under `dir`. server.js serves them from
+ * `publicPath`.
+ */
+const createLocalStorage = ({
+    dir = path.join(process.cwd(), 'uploads'),
+    publicPath = '/uploads',
+} = {}) => {
+    // Keys come from utils/images, but never let one escape the directory
+    const resolve = (key) => {
+        const file = path.resolve(dir, key);
+
+        if (!file.startsWith(path.resolve(dir) + path.sep)) {
+            throw new Error(`Invalid storage key ${key}`);
+        }
+
+        return file;
+    };
+
+    const url = (key) => `${publicPath}/${key}`;
+
+    const put = async (key, buffer) => {
+        const file = resolve(key);
+
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, buffer);
+
+        return url(key);
+    };
+
+    const remove = async (key) => {
+        await fs.promises.rm(resolve(key), { force: true });
+    };
+
+    return { name: 'local', dir, publicPath, put, remove, url };
+};
+
+module.exports = {
+    createLocalStorage,
+};
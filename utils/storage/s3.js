@@ -0,0 +1,65 @@
+const {
+    S3Client,
+    PutObjectCommand,
+    DeleteObjectCommand,
+} = require('@aws-sdk/client-s3');
+
+/**
+ * Stores files in an S3-compatible bucket. Point `endpoint` at MinIO, e.g.
+ * `http://localhost:9000`, to test locally. `publicURL` is where the bucket
+ * is readable from, defaulting to path-style URLs on the endpoint.
+ */
+const createS3Storage = ({
+    bucket,
+    region = 'us-east-1',
+    endpoint,
+    accessKeyId,
+    secretAccessKey,
+    publicURL,
+}) => {
+    const client = new S3Client({
+        region,
+        endpoint,
+        // MinIO and most other S3 clones only do path-style addressing
+        forcePathStyle: Boolean(endpoint),
+        credentials:
+            accessKeyId && secretAccessKey
+                ? { accessKeyId, secretAccessKey }
+                : undefined,
+    });
+
+    const base = (
+        publicURL ||
+        (endpoint
+            ? `${endpoint}/${bucket}`
+            : `https://${bucket}.s3.${region}.amazonaws.com`)
+    ).replace(/\/+$/, '');
+
+    const url = (key) => `${base}/${key}`;
+
+    const put = async (key, buffer, contentType) => {
+        await client.send(
+            new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: buffer,
+                ContentType: contentType,
+                CacheControl: 'public, max-age=31536000, immutable',
+            })
+        );
+
+        return url(key);
+    };
+
+    const remove = async (key) => {
+        await client.send(
+            new DeleteObjectCommand({ Bucket: bucket, Key: key })
+        );
+    };
+
+    return { name: 's3', put, remove, url };
+};
+
+module.exports = {
+    createS3Storage,
+};
@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+
+const Token = require('../models/Token');
+
+// How long each kind of emailed token stays valid, in minutes
+const lifetimes = {
+    'verify-email': 24 * 60,
+    'reset-password': 60,
+};
+
+const hashToken = (token) =>
+    crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Create a single-use token for a user. Any older token of the same type is
+ * discarded so only the most recent email works.
+ */
+const createToken = async (userId, type) => {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await Token.deleteMany({ user: userId, type });
+    await new Token({
+        user: userId,
+        type,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + lifetimes[type] * 60 * 1000),
+    }).save();
+
+    return token;
+};
+
+/**
+ * Consume a token, resolving to the user id it was issued for, or null when
+ * it is unknown, expired or already used
+ */
+const consumeToken = async (token, type) => {
+    const doc = await Token.findOneAndDelete({
+        tokenHash: hashToken(token),
+        type,
+    });
+
+    if (!doc || doc.expiresAt < Date.now()) {
+        return null;
+    }
+
+    return doc.user;
+};
+
+module.exports = {
+    createToken,
+    consumeToken,
+};
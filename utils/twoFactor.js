@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('config');
+const QRCode = require('qrcode');
+
+const User = require('../models/User');
+
+/**
+ * Two-factor authentication with time-based one-time passwords (RFC 6238,
+ * the codes authenticator apps show) and single-use recovery codes. Users
+ * with it enabled log in in two steps: the password check hands out a
+ * short-lived challenge token, which is exchanged for a session once a code
+ * checks out.
+ */
+const twoFactorConfig = config.has('twoFactor') ? config.get('twoFactor') : {};
+
+const issuer = twoFactorConfig.issuer || 'DevConnector';
+
+// 30 second steps with 6 digits, what every authenticator app expects
+const PERIOD = 30;
+const DIGITS = 6;
+
+// Accept the codes either side of the current one to allow for clock drift
+const WINDOW = 1;
+
+const RECOVERY_CODES = 10;
+
+const challengeExpiry = twoFactorConfig.challengeExpiry || '5m';
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    let out = '';
+
+    buffer.forEach((byte) => {
+        bits += byte.toString(2).padStart(8, '0');
+    });
+
+    for (let i = 0; i < bits.length; i += 5) {
+        out += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+
+    return out;
+};
+
+const base32Decode = (text) => {
+    let bits = '';
+
+    text.toUpperCase()
+        .replace(/[\s=]/g, '')
+        .split('')
+        .forEach((char) => {
+            bits += BASE32.indexOf(char).toString(2).padStart(5, '0');
+        });
+
+    const bytes = [];
+
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+
+    return Buffer.from(bytes);
+};
+
+/**
+ * A new random secret, base32 encoded as authenticator apps take it
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = () => Math.floor(Date.now() / 1000 / PERIOD);
+
+/**
+ * The code for a secret at a time step
+ */
+const totp = (secret, step = currentStep()) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto
+        .createHmac('sha1', base32Decode(secret))
+        .update(counter)
+        .digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(value % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * The time step a code matches, or null. Steps up to `afterStep` are
+ * refused so a code can't be replayed.
+ */
+const verifyTotp = (secret, code, afterStep = -1) => {
+    const given = String(code).replace(/\s/g, '');
+
+    if (!/^\d+$/.test(given) || given.length !== DIGITS) {
+        return null;
+    }
+
+    const now = currentStep();
+
+    for (let step = now - WINDOW; step <= now + WINDOW; step++) {
+        if (
+            step > afterStep &&
+            crypto.timingSafeEqual(
+                Buffer.from(totp(secret, step)),
+                Buffer.from(given)
+            )
+        ) {
+            return step;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * The otpauth:// URL authenticator apps read from the QR code
+ */
+const otpauthURL = (secret, email) => {
+    const label = encodeURIComponent(`${issuer}:${email}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: DIGITS,
+        period: PERIOD,
+    });
+
+    return `otpauth://totp/${label}?${params}`;
+};
+
+/**
+ * A QR code for an otpauth:// URL as a PNG data URL
+ */
+const qrCode = (url) => QRCode.toDataURL(url);
+
+const hashCode = (code) =>
+    crypto
+        .createHash('sha256')
+        .update(String(code).toLowerCase().replace(/[\s-]/g, ''))
+        .digest('hex');
+
+/**
+ * New recovery codes, like `4f2a-91cc`. Only the hashes are stored, the
+ * codes themselves are shown to the user once.
+ */
+const generateRecoveryCodes = () => {
+    const codes = [];
+
+    for (let i = 0; i < RECOVERY_CODES; i++) {
+        const hex = crypto.randomBytes(4).toString('hex');
+        codes.push(`${hex.slice(0, 4)}-${hex.slice(4)}`);
+    }
+
+    return { codes, hashes: codes.map(hashCode) };
+};
+
+/**
+ * Check a code from an authenticator app, or a recovery code, for a user
+ * with two-factor enabled, and use it up. The user must have been loaded
+ * with `+twoFactor.secret +twoFactor.recoveryCodes`. Resolves to the kind of
+ * code used, `totp` or `recovery`, or null when it doesn't check out. The code
+ * is used up with a conditional update, so only one of several concurrent
+ * requests with the same code gets through.
+ */
+const useSecondFactor = async (user, code) => {
+    const { twoFactor } = user;
+
+    if (!twoFactor || !twoFactor.enabled || !code) {
+        return null;
+    }
+
+    const step = verifyTotp(
+        twoFactor.secret,
+        code,
+        twoFactor.lastUsedStep === undefined ? -1 : twoFactor.lastUsedStep
+    );
+
+    if (step !== null) {
+        const { nModified } = await User.updateOne(
+            {
+                _id: user._id,
+                $or: [
+                    { 'twoFactor.lastUsedStep': { $lt: step } },
+                    { 'twoFactor.lastUsedStep': null },
+                ],
+            },
+            { $set: { 'twoFactor.lastUsedStep': step } }
+        );
+
+        if (!nModified) {
+            return null;
+        }
+
+        // keep the loaded user in step with what was stored
+        twoFactor.lastUsedStep = step;
+        return 'totp';
+    }
+
+    const hash = hashCode(code);
+
+    if (twoFactor.recoveryCodes.includes(hash)) {
+        const { nModified } = await User.updateOne(
+            { _id: user._id, 'twoFactor.recoveryCodes': hash },
+            { $pull: { 'twoFactor.recoveryCodes': hash } }
+        );
+
+        if (!nModified) {
+            return null;
+        }
+
+        twoFactor.recoveryCodes.pull(hash);
+        return 'recovery';
+    }
+
+    return null;
+};
+
+/**
+ * Sign the token handed out after the password check. It can't be used as
+ * an access token, it has no session. With `restore` the account's
+ * scheduled deletion is cancelled once the second factor checks out.
+ */
+const signChallenge = (userId, { restore = false } = {}) =>
+    jwt.sign(
+        {
+            twoFactor: {
+                user: userId.toString(),
+                restore: restore || undefined,
+            },
+        },
+        config.get('jwtSecret'),
+        { expiresIn: challengeExpiry }
+    );
+
+/**
+ * What a challenge token was issued for as `{ userId, restore }`, or null
+ * when it isn't valid
+ */
+const verifyChallenge = (token) => {
+    try {
+        const { twoFactor } = jwt.verify(
+            String(token),
+            config.get('jwtSecret')
+        );
+
+        if (!twoFactor || !twoFactor.user) {
+            return null;
+        }
+
+        return { userId: twoFactor.user, restore: Boolean(twoFactor.restore) };
+    } catch (err) {
+        return null;
+    }
+};
+
+module.exports = {
+    generateSecret,
+    totp,
+    verifyTotp,
+    otpauthURL,
+    qrCode,
+    generateRecoveryCodes,
+    useSecondFactor,
+    signChallenge,
+    verifyChallenge,
+};